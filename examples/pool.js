@@ -14,9 +14,13 @@ let pool = new Pool({
 	// }
 });
 
-setInterval(function() {
-	console.log(pool.count + '/' + pool.max + ' (' + pool.waiting + ' waiting)');
-}, 500);
+function log(event) {
+	console.log(event.count + '/' + pool.max + ' (' + event.waiting + ' waiting)');
+}
+
+pool.on('spawn', log);
+pool.on('release', log);
+pool.on('max', log);
 
 for (let i = 0; i < 15; i++) {
 	pool.acquire()
@@ -0,0 +1,282 @@
+'use strict';
+
+
+/**
+ * The base class of every error produced by the pool. Each error carries a stable `code` so that failures can be told
+ * apart without matching their messages.
+ *
+ * @class
+ * @param {String} message A description of the error.
+ * @param {String} [code='ERR_POOL'] The code identifying the kind of error.
+ */
+class PoolError extends Error {
+	constructor(message, code = 'ERR_POOL') {
+		super(message);
+
+		this.name = 'PoolError';
+		this.code = code;
+	}
+}
+
+
+/**
+ * The error used to reject an acquisition request that was withdrawn with an AbortSignal before it was fulfilled.
+ *
+ * @class
+ * @param {String} [message='Acquisition was aborted.'] A description of the error.
+ */
+class AbortError extends PoolError {
+	constructor(message = 'Acquisition was aborted.') {
+		super(message, 'ERR_POOL_ABORTED');
+
+		this.name = 'AbortError';
+	}
+}
+
+
+/**
+ * The error used to reject an acquisition request while the circuit breaker around object creation is open.
+ *
+ * @class
+ * @param {String} [message='Circuit breaker is open.'] A description of the error.
+ */
+class CircuitOpenError extends PoolError {
+	constructor(message = 'Circuit breaker is open.') {
+		super(message, 'ERR_POOL_CIRCUIT_OPEN');
+
+		this.name = 'CircuitOpenError';
+	}
+}
+
+
+/**
+ * The error used to reject an acquisition request because its object could not be created. The message is that of the
+ * error thrown by the `create` function, which is preserved as the `cause`.
+ *
+ * @class
+ * @param {*} cause The error thrown (or rejection reason) of the `create` function.
+ * @param {String} [message] A description of the error. Defaults to the message of the cause.
+ */
+class CreateError extends PoolError {
+	constructor(cause, message = cause instanceof Error ? cause.message : 'Object creation failed.') {
+		super(message, 'ERR_POOL_CREATE');
+
+		this.name = 'CreateError';
+		this.cause = cause;
+	}
+}
+
+
+/**
+ * The error used to reject a release because the object could not be destroyed. The message is that of the error
+ * thrown by the `destroy` function, which is preserved as the `cause`.
+ *
+ * @class
+ * @param {*} cause The error thrown (or rejection reason) of the `destroy` function.
+ */
+class DestroyError extends PoolError {
+	constructor(cause) {
+		super(cause instanceof Error ? cause.message : 'Object destruction failed.', 'ERR_POOL_DESTROY');
+
+		this.name = 'DestroyError';
+		this.cause = cause;
+	}
+}
+
+
+/**
+ * The error used to reject a drain that was interrupted because the pool was resumed first.
+ *
+ * @class
+ * @param {String} [message='Pool resumed before completely draining.'] A description of the error.
+ */
+class DrainInterruptedError extends PoolError {
+	constructor(message = 'Pool resumed before completely draining.') {
+		super(message, 'ERR_POOL_DRAIN_INTERRUPTED');
+
+		this.name = 'DrainInterruptedError';
+	}
+}
+
+
+/**
+ * The error used to reject the release of an object that was not obtained from the pool it is released to.
+ *
+ * @class
+ * @param {String} [message='Object was not obtained from this pool.'] A description of the error.
+ */
+class ForeignObjectError extends PoolError {
+	constructor(message = 'Object was not obtained from this pool.') {
+		super(message, 'ERR_POOL_FOREIGN_OBJECT');
+
+		this.name = 'ForeignObjectError';
+	}
+}
+
+
+/**
+ * The error used to reject a state transition that is not possible from the current state of the pool.
+ *
+ * @class
+ * @param {String} [message='Invalid state.'] A description of the error.
+ */
+class InvalidStateError extends PoolError {
+	constructor(message = 'Invalid state.') {
+		super(message, 'ERR_POOL_INVALID_STATE');
+
+		this.name = 'InvalidStateError';
+	}
+}
+
+
+/**
+ * The error used to reject an acquisition request because the pool has been drained or closed.
+ *
+ * @class
+ * @param {String} [message='Pool is closed.'] A description of the error.
+ */
+class PoolClosedError extends PoolError {
+	constructor(message = 'Pool is closed.') {
+		super(message, 'ERR_POOL_CLOSED');
+
+		this.name = 'PoolClosedError';
+	}
+}
+
+
+/**
+ * The error used to reject an acquisition request made while the pool is draining.
+ *
+ * @class
+ * @param {String} [message='Pool is draining.'] A description of the error.
+ */
+class PoolDrainingError extends PoolError {
+	constructor(message = 'Pool is draining.') {
+		super(message, 'ERR_POOL_DRAINING');
+
+		this.name = 'PoolDrainingError';
+	}
+}
+
+
+/**
+ * The error used to reject an acquisition request made once the pool has been drained.
+ *
+ * @class
+ * @param {String} [message='Pool is not active.'] A description of the error.
+ */
+class PoolInactiveError extends PoolError {
+	constructor(message = 'Pool is not active.') {
+		super(message, 'ERR_POOL_INACTIVE');
+
+		this.name = 'PoolInactiveError';
+	}
+}
+
+
+/**
+ * The error used to reject a new acquisition request because the queue already holds `maxWaiting` requests.
+ *
+ * @class
+ * @param {String} [message='Acquisition queue is full.'] A description of the error.
+ */
+class QueueFullError extends PoolError {
+	constructor(message = 'Acquisition queue is full.') {
+		super(message, 'ERR_POOL_QUEUE_FULL');
+
+		this.name = 'QueueFullError';
+	}
+}
+
+
+/**
+ * The error used to reject an acquisition request once every creation attempt permitted by the retry policy of the pool
+ * has failed. The history of the attempts is preserved so that the individual failures can be inspected, and the error
+ * of the last attempt is the `cause`.
+ *
+ * @class
+ * @extends CreateError
+ * @param {Object[]} attempts The failed attempts, each with `attempt`, `error`, `duration` and (if another attempt
+ *     followed) `delay` properties.
+ */
+class RetryError extends CreateError {
+	constructor(attempts) {
+		super(attempts[attempts.length - 1].error,
+			'Object creation failed after ' + attempts.length + ' attempt' + (attempts.length === 1 ? '' : 's') + '.');
+
+		this.name = 'RetryError';
+		this.code = 'ERR_POOL_RETRY';
+		this.attempts = attempts;
+		this.errors = attempts.map(function(attempt) {
+			return attempt.error;
+		});
+	}
+}
+
+
+/**
+ * The error used to reject a waiting acquisition request that was withdrawn from the queue to make room for another.
+ *
+ * @class
+ * @param {String} policy The overflow policy that withdrew the request.
+ */
+class ShedError extends PoolError {
+	constructor(policy) {
+		super('Acquisition request was shed from a full queue.', 'ERR_POOL_SHED');
+
+		this.name = 'ShedError';
+		this.policy = policy;
+	}
+}
+
+
+/**
+ * The error used to reject an acquisition request that was not fulfilled within its allotted time, or a drain that did
+ * not complete within its deadline.
+ *
+ * @class
+ * @param {String} [message='Acquisition timed out.'] A description of the error.
+ */
+class TimeoutError extends PoolError {
+	constructor(message = 'Acquisition timed out.') {
+		super(message, 'ERR_POOL_TIMEOUT');
+
+		this.name = 'TimeoutError';
+	}
+}
+
+
+/**
+ * The error used to reject an acquisition request that is heavier than the whole pool, either when it is made or once
+ * `max` has been lowered below its weight.
+ *
+ * @class
+ * @param {String} [message='Acquisition weight exceeds the maximum of the pool.'] A description of the error.
+ */
+class WeightError extends PoolError {
+	constructor(message = 'Acquisition weight exceeds the maximum of the pool.') {
+		super(message, 'ERR_POOL_WEIGHT');
+
+		this.name = 'WeightError';
+	}
+}
+
+
+module.exports = {
+	AbortError: AbortError,
+	CircuitOpenError: CircuitOpenError,
+	CreateError: CreateError,
+	DestroyError: DestroyError,
+	DrainInterruptedError: DrainInterruptedError,
+	ForeignObjectError: ForeignObjectError,
+	InvalidStateError: InvalidStateError,
+	PoolClosedError: PoolClosedError,
+	PoolDrainingError: PoolDrainingError,
+	PoolError: PoolError,
+	PoolInactiveError: PoolInactiveError,
+	QueueFullError: QueueFullError,
+	RetryError: RetryError,
+	ShedError: ShedError,
+	TimeoutError: TimeoutError,
+	WeightError: WeightError
+};
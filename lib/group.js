@@ -0,0 +1,433 @@
+'use strict';
+
+const EventEmitter = require('events');
+
+const errors = require('./errors');
+const Pool = require('./pool');
+
+
+// An internal mapping of private variables. Anything here should remain truly private to the closure of this module
+// and inaccessible from the outside.
+let maps = {
+	evictor: new WeakMap(),
+	gate: new WeakMap(),
+	leases: new WeakMap(),
+	options: new WeakMap(),
+	pools: new WeakMap(),
+	state: new WeakMap()
+};
+
+// The counters that are summed across the pools of a group by `.stats()`.
+const COUNTERS = ['count', 'borrowed', 'pending', 'idle', 'waiting', 'quarantined', 'acquisitions', 'releases', 'createFailures', 'destroyFailures'];
+
+
+/**
+ * Looks up the pool for a key, creating it from the factory of the group if there is none yet.
+ *
+ * @private
+ * @param {PoolGroup} group The group instance that the key belongs to.
+ * @param {*} key The key identifying the pool.
+ * @returns {Object} The record of the pool, with the `pool` itself and when it was `used` last.
+ */
+function lookup(group, key) {
+	let pools = maps.pools.get(group);
+	let record = pools.get(key);
+
+	if (!record) {
+		let options = maps.options.get(group);
+		let result = options.factory(key);
+
+		if (!(result instanceof Pool)) {
+			result = new Pool(Object.assign({
+				max: options.maxPerKey
+			}, result));
+		}
+
+		// A pool created while the group is paused has to wait along with the others.
+		if (maps.state.get(group) === Pool.states.PAUSED) {
+			result.pause().catch(function() {});
+		}
+
+		record = {
+			pool: result,
+			used: Date.now()
+		};
+
+		pools.set(key, record);
+	}
+
+	return record;
+}
+
+
+/**
+ * Removes the pools of keys that have had nothing issued or waiting for longer than `idleTimeoutMs`, closing them so
+ * that their idle objects are destroyed and their timers stopped. A pool is simply created again if its key is used
+ * afterwards.
+ *
+ * @private
+ * @param {PoolGroup} group The group instance whose pools should be checked.
+ */
+function sweep(group) {
+	if (maps.state.get(group) !== Pool.states.ACTIVE) {
+		return;
+	}
+
+	let idleTimeoutMs = maps.options.get(group).idleTimeoutMs;
+	let pools = maps.pools.get(group);
+	let now = Date.now();
+
+	pools.forEach(function(record, key) {
+		let pool = record.pool;
+
+		if (pool.count === 0 && pool.waiting === 0 && now - record.used >= idleTimeoutMs) {
+			pools.delete(key);
+			pool.close().catch(function() {});
+
+			group.emit('evict', {
+				key: key,
+				pool: pool
+			});
+		}
+	});
+}
+
+
+/**
+ * A class that manages a pool per key, such as one per upstream host. Pools are created lazily from a factory the first
+ * time their key is used and removed again once they have been idle for a while. Every pool is capped by its own `max`
+ * and, optionally, the work slots issued across all of the pools are capped by a global `max`.
+ *
+ * Instances emit an `evict` event (`key`, `pool`) when the pool of an idle key is removed. A group that is no longer
+ * needed should be closed with `.close()`, which also stops its evictor.
+ *
+ * @class
+ * @extends EventEmitter
+ * @param {Object} options A configuration object.
+ * @param {Function} options.factory A function that is passed a key and returns the options for the `Pool` of that key,
+ *     or a `Pool` instance.
+ * @param {Number} [options.max=Infinity] The maximum number of work slots issued across all of the pools at once.
+ * @param {Number} [options.maxPerKey] The `max` of every pool whose options do not specify one.
+ * @param {Number} [options.idleTimeoutMs] Remove the pool of a key once it has had nothing issued or waiting for longer
+ *     than this many milliseconds. Pools are kept indefinitely if omitted.
+ * @param {Number} [options.evictionIntervalMs=1000] How often the pools are checked for `idleTimeoutMs`.
+ */
+class PoolGroup extends EventEmitter {
+	constructor(options = {}) {
+		super();
+
+		let max = parseInt(options.max, 10);
+
+		// An internal pool of permits enforcing the global maximum, if there is one.
+		maps.gate.set(this, max > 0 ? new Pool({
+			max: max
+		}) : null);
+		// An internal record of the pool and the permit behind every issued object.
+		maps.leases.set(this, new WeakMap());
+		// An internal reference to the normalized static configuration of the group.
+		maps.options.set(this, {
+			factory: options.factory,
+			idleTimeoutMs: Number(options.idleTimeoutMs),
+			maxPerKey: options.maxPerKey
+		});
+		// An internal collection of the pools, keyed by the keys that they were created for.
+		maps.pools.set(this, new Map());
+		// An internal reference to keep track of the state of the group.
+		maps.state.set(this, Pool.states.ACTIVE);
+
+		// The evictor is only needed when idle keys are removed. It is unreferenced so that it does not keep the process
+		// alive on its own.
+		if (options.idleTimeoutMs > 0) {
+			let self = this;
+			let interval = Number(options.evictionIntervalMs);
+
+			maps.evictor.set(this, setInterval(function() {
+				sweep(self);
+			}, interval > 0 ? interval : 1000));
+
+			maps.evictor.get(this).unref();
+		}
+	}
+
+	/**
+	 * Acquires an object from the pool of a key, creating the pool if necessary. When the group has a global maximum
+	 * the request first waits for its own pool and then for a permit, so that a busy key cannot hold permits that
+	 * other keys could be using.
+	 *
+	 * @param {*} key The key identifying the pool.
+	 * @param {Number|Object} [options] The priority of the request or a configuration object. Accepts all of the options
+	 *     of `Pool#acquire()`. A `timeout` applies to the request as a whole.
+	 * @returns {Promise} A promise that is resolved with the acquired object.
+	 */
+	acquire(key, options = {}) {
+		let state = maps.state.get(this);
+
+		if (state === Pool.states.CLOSED) {
+			return Promise.reject(new errors.PoolClosedError());
+		}
+		else if (state === Pool.states.INACTIVE) {
+			return Promise.reject(new errors.PoolInactiveError());
+		}
+		else if (state === Pool.states.DRAINING) {
+			return Promise.reject(new errors.PoolDrainingError());
+		}
+
+		if (options == null || typeof options !== 'object') {
+			options = {
+				priority: options
+			};
+		}
+
+		let gate = maps.gate.get(this);
+		let leases = maps.leases.get(this);
+		let record = lookup(this, key);
+		let started = Date.now();
+
+		record.used = started;
+
+		return record.pool.acquire(options)
+			.then(function(obj) {
+				if (!gate) {
+					leases.set(obj, {
+						record: record
+					});
+
+					return obj;
+				}
+
+				let timeout = options.timeout == null ? undefined : Math.max(options.timeout - (Date.now() - started), 1);
+
+				return gate.acquire(Object.assign({}, options, {
+					timeout: timeout
+				}))
+					.then(function(permit) {
+						leases.set(obj, {
+							permit: permit,
+							record: record
+						});
+
+						return obj;
+					}, function(err) {
+						return record.pool.release(obj)
+							.then(function() {
+								throw err;
+							});
+					});
+			});
+	}
+
+	/**
+	 * Closes every pool of the group for good and stops the evictor of the group. No further acquisition requests will
+	 * succeed and the group cannot be resumed.
+	 *
+	 * @param {Object} [options] A configuration object. Accepts all of the options of `Pool#close()`.
+	 * @returns {Promise} A promise that is resolved once every pool has been closed.
+	 */
+	close(options) {
+		let self = this;
+		let gate = maps.gate.get(this);
+		let promises = [];
+
+		clearInterval(maps.evictor.get(this));
+		maps.state.set(this, Pool.states.DRAINING);
+		maps.pools.get(this).forEach(function(record) {
+			promises.push(record.pool.close(options));
+		});
+
+		if (gate) {
+			promises.push(gate.close(options));
+		}
+
+		return Promise.all(promises)
+			.then(function() {
+				maps.state.set(self, Pool.states.CLOSED);
+			});
+	}
+
+	/**
+	 * Drains every pool of the group. No further acquisition requests will succeed until the group is resumed.
+	 *
+	 * @param {Object} [options] A configuration object. Accepts all of the options of `Pool#drain()`.
+	 * @returns {Promise} A promise that is resolved once every pool has been drained.
+	 */
+	drain(options) {
+		let self = this;
+		let gate = maps.gate.get(this);
+		let promises = [];
+
+		// A closed group has nothing left to drain.
+		if (maps.state.get(this) === Pool.states.CLOSED) {
+			return Promise.resolve();
+		}
+
+		maps.state.set(this, Pool.states.DRAINING);
+		maps.pools.get(this).forEach(function(record) {
+			promises.push(record.pool.drain(options));
+		});
+
+		if (gate) {
+			promises.push(gate.drain(options));
+		}
+
+		return Promise.all(promises)
+			.then(function() {
+				if (maps.state.get(self) === Pool.states.DRAINING) {
+					maps.state.set(self, Pool.states.INACTIVE);
+				}
+			});
+	}
+
+	/**
+	 * Obtains the pool of a key without creating it.
+	 *
+	 * @param {*} key The key identifying the pool.
+	 * @returns {Pool|undefined} The pool, or `undefined` if there is none for the key.
+	 */
+	get(key) {
+		let record = maps.pools.get(this).get(key);
+
+		return record ? record.pool : undefined;
+	}
+
+	/**
+	 * Lists the keys that currently have a pool.
+	 *
+	 * @returns {Array} The keys.
+	 */
+	keys() {
+		return Array.from(maps.pools.get(this).keys());
+	}
+
+	/**
+	 * Releases an object back to the pool it was acquired from, along with its permit.
+	 *
+	 * @param {Object} obj The object previously obtained with `.acquire()`.
+	 * @param {Object} [options] A configuration object. Accepts all of the options of `Pool#release()`.
+	 * @returns {Promise} A promise that is resolved when the object is successfully released.
+	 */
+	release(obj, options) {
+		let leases = maps.leases.get(this);
+		let lease = leases.get(obj);
+
+		if (!lease) {
+			return Promise.reject(new errors.ForeignObjectError());
+		}
+
+		leases.delete(obj);
+		lease.record.used = Date.now();
+
+		if (lease.permit) {
+			maps.gate.get(this).release(lease.permit);
+		}
+
+		return lease.record.pool.release(obj, options);
+	}
+
+	/**
+	 * Pauses every pool of the group. Acquisition requests are still accepted and queued, but nothing is issued until
+	 * the group is resumed.
+	 *
+	 * @returns {Promise} A promise that is resolved when every pool has been paused.
+	 */
+	pause() {
+		let gate = maps.gate.get(this);
+		let promises = [];
+
+		if (maps.state.get(this) === Pool.states.CLOSED) {
+			return Promise.reject(new errors.PoolClosedError());
+		}
+
+		maps.state.set(this, Pool.states.PAUSED);
+		maps.pools.get(this).forEach(function(record) {
+			promises.push(record.pool.pause());
+		});
+
+		if (gate) {
+			promises.push(gate.pause());
+		}
+
+		return Promise.all(promises)
+			.then(function() {});
+	}
+
+	/**
+	 * Resumes every pool of the group, allowing acquisition requests again.
+	 *
+	 * @returns {Promise} A promise that is resolved when every pool is ready to accept acquisition requests.
+	 */
+	resume() {
+		let gate = maps.gate.get(this);
+		let promises = [];
+
+		if (maps.state.get(this) === Pool.states.CLOSED) {
+			return Promise.reject(new errors.PoolClosedError());
+		}
+
+		maps.state.set(this, Pool.states.ACTIVE);
+		maps.pools.get(this).forEach(function(record) {
+			promises.push(record.pool.resume());
+		});
+
+		if (gate) {
+			promises.push(gate.resume());
+		}
+
+		return Promise.all(promises)
+			.then(function() {});
+	}
+
+	/**
+	 * Produces a snapshot of the group: the counters of every pool summed together, along with the `.stats()` of each
+	 * pool keyed by its key.
+	 *
+	 * @returns {Object}
+	 */
+	stats() {
+		let gate = maps.gate.get(this);
+		let result = {
+			state: this.state,
+			keys: this.size,
+			max: gate ? gate.max : Infinity,
+			pools: {}
+		};
+
+		COUNTERS.forEach(function(counter) {
+			result[counter] = 0;
+		});
+
+		maps.pools.get(this).forEach(function(record, key) {
+			let stats = record.pool.stats();
+
+			COUNTERS.forEach(function(counter) {
+				result[counter] += stats[counter];
+			});
+
+			result.pools[key] = stats;
+		});
+
+		return result;
+	}
+
+	/**
+	 * The current number of keys that have a pool.
+	 *
+	 * @readonly
+	 * @returns {Number}
+	 */
+	get size() {
+		return maps.pools.get(this).size;
+	}
+
+	/**
+	 * The current state of the group.
+	 *
+	 * @readonly
+	 * @returns {String} One of `Pool.states`.
+	 */
+	get state() {
+		return maps.state.get(this);
+	}
+}
+
+
+module.exports = PoolGroup;
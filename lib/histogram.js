@@ -0,0 +1,106 @@
+'use strict';
+
+
+// The default bucket upper bounds, in milliseconds. They span the sub-millisecond hand-off of an idle object through
+// to acquisitions that have been queued for tens of seconds.
+const BOUNDS = [1, 2.5, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000];
+
+
+/**
+ * A fixed-bucket histogram of durations. Observations are only ever counted into buckets so the memory footprint is
+ * constant regardless of how many durations are recorded. Percentiles are estimated by linear interpolation within the
+ * bucket that contains the requested rank, in the same fashion as Prometheus' `histogram_quantile`.
+ *
+ * @private
+ * @class
+ * @param {Number[]} [bounds] The ascending upper bounds of the buckets. An implicit unbounded bucket is always added.
+ */
+class Histogram {
+	constructor(bounds = BOUNDS) {
+		this.bounds = bounds.slice();
+		this.counts = new Array(this.bounds.length + 1).fill(0);
+		this.count = 0;
+		this.max = 0;
+		this.sum = 0;
+	}
+
+	/**
+	 * Estimates the value below which the indicated percentage of observations fall.
+	 *
+	 * @param {Number} p The percentile to estimate, between 0 and 100.
+	 * @returns {Number} The estimated value, or 0 if nothing has been recorded.
+	 */
+	percentile(p) {
+		if (this.count === 0) {
+			return 0;
+		}
+
+		let rank = p / 100 * this.count;
+		let cumulative = 0;
+
+		for (let i = 0; i < this.counts.length; i++) {
+			let n = this.counts[i];
+
+			if (n > 0 && cumulative + n >= rank) {
+				let lower = i === 0 ? 0 : this.bounds[i - 1];
+				let upper = i < this.bounds.length ? this.bounds[i] : this.max;
+
+				return Math.min(lower + (upper - lower) * (rank - cumulative) / n, this.max);
+			}
+
+			cumulative += n;
+		}
+
+		return this.max;
+	}
+
+	/**
+	 * Records a single observation.
+	 *
+	 * @param {Number} value The observed duration.
+	 */
+	record(value) {
+		let i = 0;
+
+		while (i < this.bounds.length && value > this.bounds[i]) {
+			i++;
+		}
+
+		this.counts[i]++;
+		this.count++;
+		this.max = Math.max(this.max, value);
+		this.sum += value;
+	}
+
+	/**
+	 * Produces a plain object describing the current distribution. Bucket counts are cumulative so that they can be
+	 * exported directly in the Prometheus text format.
+	 *
+	 * @returns {Object}
+	 */
+	snapshot() {
+		let cumulative = 0;
+
+		let buckets = this.counts.map(function(n, i) {
+			cumulative += n;
+
+			return {
+				le: i < this.bounds.length ? this.bounds[i] : Infinity,
+				count: cumulative
+			};
+		}, this);
+
+		return {
+			buckets: buckets,
+			count: this.count,
+			max: this.max,
+			sum: this.sum,
+			p50: this.percentile(50),
+			p95: this.percentile(95),
+			p99: this.percentile(99)
+		};
+	}
+}
+
+
+module.exports = Histogram;
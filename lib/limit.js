@@ -0,0 +1,118 @@
+'use strict';
+
+
+/**
+ * Determines whether the pool was busy enough during a window for its limit to be raised. A limit that is not being
+ * reached says nothing about whether a higher one would be sustainable, so it is left alone.
+ *
+ * @private
+ * @param {Number} limit The current limit.
+ * @param {Object} window The window of samples.
+ * @returns {Boolean}
+ */
+function saturated(limit, window) {
+	return window.inflight * 2 >= limit;
+}
+
+
+/**
+ * An additive increase, multiplicative decrease limit. The limit grows by `increase` after every window without errors
+ * and is cut by `backoff` after every window with errors. If `latencyMs` is set, a window whose mean hold time exceeds
+ * it is treated as if it contained errors.
+ *
+ * @private
+ * @class
+ * @param {Object} [options] A configuration object.
+ * @param {Number} [options.backoff=0.9] The factor the limit is multiplied by when it is cut.
+ * @param {Number} [options.increase=1] How much the limit grows after a healthy window.
+ * @param {Number} [options.latencyMs] The mean hold time above which a window is considered unhealthy.
+ */
+class AIMDLimit {
+	constructor(options = {}) {
+		let backoff = Number(options.backoff);
+		let increase = Number(options.increase);
+
+		this.backoff = backoff > 0 && backoff < 1 ? backoff : 0.9;
+		this.increase = increase > 0 ? increase : 1;
+		this.latencyMs = Number(options.latencyMs);
+	}
+
+	/**
+	 * Calculates the limit that should apply after a window of samples.
+	 *
+	 * @param {Number} limit The current limit.
+	 * @param {Object} window The `samples`, `errors`, total `holdTime` and peak `inflight` units of the window.
+	 * @returns {Number} The new limit, which may be fractional.
+	 */
+	update(limit, window) {
+		if (window.errors > 0 || this.latencyMs > 0 && window.holdTime / window.samples > this.latencyMs) {
+			return limit * this.backoff;
+		}
+
+		return saturated(limit, window) ? limit + this.increase : limit;
+	}
+}
+
+
+/**
+ * A gradient limit in the style of TCP Vegas. The mean hold time of each window is compared with a long-term moving
+ * average: while objects are held for about as long as usual the limit grows by its square root, and as hold times
+ * rise above `tolerance` times the average the limit is pulled down in proportion. Windows with errors halve the
+ * target. Every change is smoothed so that one noisy window cannot swing the limit too far.
+ *
+ * @private
+ * @class
+ * @param {Object} [options] A configuration object.
+ * @param {Number} [options.tolerance=1.5] How much the hold time may rise above the average before the limit is reduced.
+ * @param {Number} [options.smoothing=0.2] The fraction of the way the limit moves towards its target each window.
+ * @param {Number} [options.longWindow=10] The number of windows the long-term average hold time spans.
+ */
+class GradientLimit {
+	constructor(options = {}) {
+		let tolerance = Number(options.tolerance);
+		let smoothing = Number(options.smoothing);
+		let longWindow = Number(options.longWindow);
+
+		this.average = 0;
+		this.longWindow = longWindow >= 1 ? longWindow : 10;
+		this.smoothing = smoothing > 0 && smoothing <= 1 ? smoothing : 0.2;
+		this.tolerance = tolerance >= 1 ? tolerance : 1.5;
+	}
+
+	/**
+	 * Calculates the limit that should apply after a window of samples.
+	 *
+	 * @param {Number} limit The current limit.
+	 * @param {Object} window The `samples`, `errors`, total `holdTime` and peak `inflight` units of the window.
+	 * @returns {Number} The new limit, which may be fractional.
+	 */
+	update(limit, window) {
+		// A hold time of zero would make the gradient meaningless, so the mean is kept strictly positive.
+		let mean = Math.max(window.holdTime / window.samples, 1);
+
+		this.average = this.average ? this.average + (mean - this.average) / this.longWindow : mean;
+
+		let gradient;
+
+		if (window.errors > 0) {
+			gradient = 0.5;
+		}
+		else if (saturated(limit, window) || mean > this.average * this.tolerance) {
+			gradient = Math.max(Math.min(this.tolerance * this.average / mean, 1), 0.5);
+		}
+		else {
+			return limit;
+		}
+
+		// The square root allowance only applies to growth, otherwise it could turn a small cut into an increase.
+		let target = gradient < 1 ? limit * gradient : limit + Math.sqrt(limit);
+
+		return limit + (target - limit) * this.smoothing;
+	}
+}
+
+
+module.exports = {
+	AIMDLimit: AIMDLimit,
+	GradientLimit: GradientLimit
+};
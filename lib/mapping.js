@@ -0,0 +1,392 @@
+'use strict';
+
+
+/**
+ * Obtains an iterator from either an asynchronous or a synchronous iterable.
+ *
+ * @private
+ * @param {Object} iterable An object implementing `Symbol.asyncIterator` or `Symbol.iterator`.
+ * @returns {Object} An iterator whose `next()` results may or may not be promises.
+ */
+function iterate(iterable) {
+	if (iterable != null && typeof iterable[Symbol.asyncIterator] === 'function') {
+		return iterable[Symbol.asyncIterator]();
+	}
+
+	if (iterable != null && typeof iterable[Symbol.iterator] === 'function') {
+		return iterable[Symbol.iterator]();
+	}
+
+	throw new TypeError('Expected an iterable or async iterable.');
+}
+
+
+/**
+ * Applies a function to every item of an iterable through a pool with bounded concurrency. Items are only pulled from
+ * the source while fewer than `limit()` of them are in flight, where an item is in flight from the moment it is pulled
+ * until its result has been consumed. Memory use is therefore bounded regardless of the length of the source.
+ *
+ * A mapping is both thenable (resolving with an array of results) and async iterable (yielding the results one by one),
+ * and does no work until it is first used as either. Results are produced in source order unless `ordered` is `false`,
+ * in which case they are produced in completion order. The first failure stops any further items from being pulled and
+ * is surfaced in place of the remaining results.
+ *
+ * @private
+ * @class
+ * @param {Object} iterable The synchronous or asynchronous iterable to map.
+ * @param {Function} fn A function that will be passed each item and the object acquired from the pool.
+ * @param {Object} options A configuration object.
+ * @param {Function} options.limit A function returning the maximum number of items in flight.
+ * @param {Boolean} [options.ordered=true] Produce results in source order rather than completion order.
+ * @param {Function} options.run A function that runs a task through the pool and returns a promise for its result.
+ * @param {Function} options.track A function that is passed a promise settling when the mapping finishes.
+ */
+class Mapping {
+	constructor(iterable, fn, options) {
+		this.fn = fn;
+		this.options = options;
+		this.ordered = options.ordered !== false;
+
+		// Completed results that are ready to be consumed, and the consumers that are waiting for them.
+		this.buffer = [];
+		this.consumers = [];
+
+		this.active = 0;
+		this.array = null;
+		this.exhausted = false;
+		this.expected = 0;
+		this.failed = false;
+		this.index = 0;
+		this.pulling = false;
+		this.resolve = null;
+		this.results = new Map();
+		this.source = iterate(iterable);
+		this.stopped = false;
+	}
+
+	/**
+	 * Consumes every result of the mapping, handling the first error encountered.
+	 *
+	 * @param {Function} onRejected Called with the first error encountered.
+	 * @returns {Promise}
+	 */
+	catch(onRejected) {
+		return this.then(undefined, onRejected);
+	}
+
+	/**
+	 * Completes the result for the item at the indicated index, holding it back if it is being produced out of order.
+	 *
+	 * @param {Number} index The source index of the item.
+	 * @param {Object} result The outcome of the task, with either a `value` or an `error` property.
+	 */
+	complete(index, result) {
+		if (!this.ordered) {
+			this.deliver(result);
+
+			return;
+		}
+
+		this.results.set(index, result);
+
+		while (this.results.has(this.expected)) {
+			let next = this.results.get(this.expected);
+
+			this.results.delete(this.expected);
+			this.expected++;
+			this.deliver(next);
+		}
+	}
+
+	/**
+	 * Hands a result to a waiting consumer or buffers it until one arrives.
+	 *
+	 * @param {Object} result The outcome of a task, or `{ done: true }` once there are no more results.
+	 */
+	deliver(result) {
+		if (this.consumers.length > 0) {
+			this.settle(this.consumers.shift(), result);
+		}
+		else {
+			this.buffer.push(result);
+		}
+	}
+
+	/**
+	 * Records that the source has been exhausted, a task has failed or the consumer has stopped, so that no further items
+	 * are pulled and the mapping can be reported as finished.
+	 *
+	 * @param {Object} [result] The final result to deliver to consumers.
+	 */
+	finish(result) {
+		if (this.stopped) {
+			return;
+		}
+
+		this.stopped = true;
+
+		if (result) {
+			this.deliver(result);
+		}
+
+		if (this.resolve) {
+			this.resolve();
+		}
+	}
+
+	/**
+	 * Begins pulling from the source the first time the mapping is used.
+	 */
+	init() {
+		let self = this;
+
+		if (this.resolve || this.stopped) {
+			return;
+		}
+
+		this.options.track(new Promise(function(resolve) {
+			self.resolve = resolve;
+		}));
+
+		this.pump();
+	}
+
+	/**
+	 * Pulls items from the source and starts their tasks until the in-flight limit is reached. Only one item is ever
+	 * pulled at a time because asynchronous iterators are not required to support concurrent `next()` calls.
+	 */
+	pump() {
+		let self = this;
+
+		if (this.stopped || this.pulling || this.exhausted || this.active >= this.options.limit()) {
+			this.settleWhenDone();
+
+			return;
+		}
+
+		this.pulling = true;
+
+		Promise.resolve()
+			.then(function() {
+				return self.source.next();
+			})
+			.then(function(step) {
+				self.pulling = false;
+
+				if (self.stopped) {
+					return;
+				}
+
+				if (step.done) {
+					self.exhausted = true;
+				}
+				else {
+					self.start(self.index++, step.value);
+				}
+
+				self.pump();
+			}, function(err) {
+				self.pulling = false;
+
+				if (self.stopped) {
+					return;
+				}
+
+				self.failed = true;
+				self.finish({
+					error: err
+				});
+			});
+	}
+
+	/**
+	 * Produces the next result of the mapping, implementing the async iterator protocol.
+	 *
+	 * @returns {Promise} A promise resolved with an iterator result.
+	 */
+	read() {
+		let self = this;
+
+		this.init();
+
+		return new Promise(function(resolve, reject) {
+			let consumer = {
+				reject: reject,
+				resolve: resolve
+			};
+
+			if (self.buffer.length > 0) {
+				self.settle(consumer, self.buffer.shift());
+			}
+			else {
+				self.consumers.push(consumer);
+			}
+		});
+	}
+
+	/**
+	 * Settles a consumer with a result, returning the capacity held by the corresponding item.
+	 *
+	 * @param {Object} consumer An object with `resolve` and `reject` functions.
+	 * @param {Object} result The outcome of a task, or `{ done: true }` once there are no more results.
+	 */
+	settle(consumer, result) {
+		if (result.done) {
+			// The terminal result is re-buffered so that any subsequent consumers also see the end of the mapping.
+			this.buffer.push(result);
+			consumer.resolve({
+				done: true,
+				value: undefined
+			});
+
+			return;
+		}
+
+		if ('error' in result) {
+			this.buffer.push({
+				done: true
+			});
+			consumer.reject(result.error);
+
+			return;
+		}
+
+		this.active--;
+		consumer.resolve({
+			done: false,
+			value: result.value
+		});
+
+		this.pump();
+	}
+
+	/**
+	 * Delivers the terminal result once the source is exhausted and every item has been consumed.
+	 */
+	settleWhenDone() {
+		if (this.exhausted && !this.stopped && this.active === 0) {
+			this.finish({
+				done: true
+			});
+		}
+	}
+
+	/**
+	 * Starts the task for a single item.
+	 *
+	 * @param {Number} index The source index of the item.
+	 * @param {*} item The item pulled from the source.
+	 */
+	start(index, item) {
+		let self = this;
+		let fn = this.fn;
+
+		this.active++;
+
+		this.options.run(function(slot) {
+			return fn(item, slot);
+		})
+			.then(function(value) {
+				if (!self.failed) {
+					self.complete(index, {
+						value: value
+					});
+				}
+			}, function(err) {
+				if (!self.failed) {
+					self.failed = true;
+					self.finish({
+						error: err
+					});
+				}
+			});
+	}
+
+	/**
+	 * Stops the mapping early when the consumer stops iterating, e.g. by breaking out of a `for await` loop. Tasks already
+	 * in flight are allowed to finish but no further items are pulled.
+	 *
+	 * @returns {Promise} A promise resolved with a completed iterator result.
+	 */
+	stop() {
+		if (!this.stopped) {
+			this.failed = true;
+			this.finish();
+
+			if (typeof this.source.return === 'function') {
+				this.source.return();
+			}
+		}
+
+		this.buffer = [{
+			done: true
+		}];
+
+		return Promise.resolve({
+			done: true,
+			value: undefined
+		});
+	}
+
+	/**
+	 * Consumes every result of the mapping, allowing it to be awaited like a promise for an array.
+	 *
+	 * @param {Function} [onFulfilled] Called with the array of results.
+	 * @param {Function} [onRejected] Called with the first error encountered.
+	 * @returns {Promise}
+	 */
+	then(onFulfilled, onRejected) {
+		// Results can only be consumed once, so every caller shares the same array.
+		if (!this.array) {
+			this.array = this.toArray();
+		}
+
+		return this.array.then(onFulfilled, onRejected);
+	}
+
+	/**
+	 * Consumes every result of the mapping.
+	 *
+	 * @returns {Promise} A promise resolved with an array of all of the results.
+	 */
+	toArray() {
+		let self = this;
+		let values = [];
+
+		function step(result) {
+			if (result.done) {
+				return values;
+			}
+
+			values.push(result.value);
+
+			return self.read().then(step);
+		}
+
+		return this.read().then(step);
+	}
+
+	/**
+	 * Produces an async iterator over the results of the mapping.
+	 *
+	 * @returns {Object}
+	 */
+	[Symbol.asyncIterator]() {
+		let self = this;
+
+		return {
+			next: function() {
+				return self.read();
+			},
+			return: function() {
+				return self.stop();
+			},
+			[Symbol.asyncIterator]: function() {
+				return this;
+			}
+		};
+	}
+}
+
+
+module.exports = Mapping;
@@ -1,31 +1,903 @@
 'use strict';
 
+const EventEmitter = require('events');
+
 const Deferred = require('deferred-ap');
-const PriorityQueue = require('js-priority-queue');
+
+const errors = require('./errors');
+const Histogram = require('./histogram');
+const limits = require('./limit');
+const Mapping = require('./mapping');
+const prometheus = require('./prometheus');
+const scheduler = require('./scheduler');
 
 
 // A collection of mappings to, in effect, create private instance variables and prevent tampering. Underscore preceded
 // variable names (e.g. `_count`) would be a legitimate, and perhaps more standard, option.
 let maps = {
+	adaptive: new WeakMap(),
+	aging: new WeakMap(),
+	borrowed: new WeakMap(),
+	breaker: new WeakMap(),
+	closing: new WeakMap(),
 	count: new WeakMap(),
+	evictor: new WeakMap(),
+	idle: new WeakMap(),
 	max: new WeakMap(),
+	meta: new WeakMap(),
+	min: new WeakMap(),
+	onIdle: new WeakMap(),
+	options: new WeakMap(),
 	origin: new WeakMap(),
+	pending: new WeakMap(),
+	preparing: new WeakMap(),
+	quarantine: new WeakMap(),
 	queue: new WeakMap(),
+	rate: new WeakMap(),
+	ready: new WeakMap(),
 	releases: new WeakMap(),
 	state: new WeakMap(),
-	transition: new WeakMap()
+	stats: new WeakMap(),
+	tasks: new WeakMap(),
+	transition: new WeakMap(),
+	units: new WeakMap(),
+	waiters: new WeakMap(),
+	warming: new WeakMap()
+};
+
+// An enumeration of the possible pool states referenced internally.
+const states = {
+	ACTIVE: 'active',
+	CLOSED: 'closed',
+	DRAINING: 'draining',
+	INACTIVE: 'inactive',
+	PAUSED: 'paused',
+	RESUMING: 'resuming'
+};
+
+// We want to freeze this object so that the states are accessible but still immutable.
+Object.freeze(states);
+
+// An enumeration of the possible circuit breaker states.
+const breakerStates = {
+	CLOSED: 'closed',
+	HALF_OPEN: 'half-open',
+	OPEN: 'open'
 };
 
-// An enumeration of the possible pool states referenced internally.
-const states = {
-	ACTIVE: 'active',
-	DRAINING: 'draining',
-	INACTIVE: 'inactive',
-	RESUMING: 'resuming'
-};
+Object.freeze(breakerStates);
+
+// An enumeration of the policies for handling acquisition requests that would overflow `maxWaiting`.
+const overflowPolicies = {
+	DROP_LOWEST_PRIORITY: 'drop-lowest-priority',
+	DROP_OLDEST: 'drop-oldest',
+	REJECT: 'reject'
+};
+
+Object.freeze(overflowPolicies);
+
+// An enumeration of the disciplines for ordering waiting acquisition requests.
+const schedulers = {
+	FAIR: 'fair',
+	LIFO: 'lifo',
+	PRIORITY: 'priority'
+};
+
+Object.freeze(schedulers);
+
+// An enumeration of the algorithms for adjusting `max` automatically.
+const limitAlgorithms = {
+	AIMD: 'aimd',
+	GRADIENT: 'gradient'
+};
+
+Object.freeze(limitAlgorithms);
+
+// The bounds of the exponential backoff applied when creating objects to satisfy `min` fails.
+const REPLENISH_BACKOFF_MS = 100;
+const REPLENISH_BACKOFF_MAX_MS = 30000;
+
+
+/**
+ * Handles an acquisition request whose AbortSignal has fired. A request that is still queued is withdrawn from the
+ * queue. A request whose object is still being created is flagged so that the object is released as soon as it exists.
+ * Either way the original acquisition request is rejected with an `AbortError`.
+ *
+ * @private
+ * @param {Pool} pool The pool instance that the acquisition request was made on.
+ * @param {Object} entry The queue object for the aborted acquisition request.
+ */
+function abort(pool, entry) {
+	if (entry.cancelled) {
+		return;
+	}
+
+	if (entry.spawned) {
+		entry.aborted = true;
+	}
+	else {
+		cancel(pool, entry);
+	}
+
+	entry.deferred.reject(new errors.AbortError());
+}
+
+
+/**
+ * Feeds a released object into the adaptive limit of the pool, if it has one. Samples are collected for `windowMs` and
+ * then handed to the limit algorithm, and `max` is changed whenever the whole part of the resulting limit changes.
+ *
+ * @private
+ * @param {Pool} pool The pool instance that the object was released to.
+ * @param {Number} holdTime How long the object was held, in milliseconds.
+ * @param {Boolean} error Whether the work done with the object failed.
+ */
+function adapt(pool, holdTime, error) {
+	let adaptive = maps.adaptive.get(pool);
+
+	if (!adaptive) {
+		return;
+	}
+
+	let now = Date.now();
+
+	if (!adaptive.window) {
+		adaptive.window = {
+			errors: 0,
+			holdTime: 0,
+			inflight: 0,
+			samples: 0,
+			started: now
+		};
+	}
+
+	let window = adaptive.window;
+
+	window.errors += error ? 1 : 0;
+	window.holdTime += holdTime;
+	window.inflight = Math.max(window.inflight, pool.units);
+	window.samples++;
+
+	if (now - window.started < adaptive.windowMs) {
+		return;
+	}
+
+	adaptive.window = null;
+
+	// The limit is fractional so that small adjustments accumulate, but it follows `max` if that was changed by hand.
+	if (Math.floor(adaptive.limit) !== pool.max) {
+		adaptive.limit = pool.max;
+	}
+
+	// Waiting acquisition requests were valid when they were made, so the limit never drops below the heaviest of them.
+	// Otherwise lowering `max` would reject them.
+	let heaviest = 0;
+
+	maps.waiters.get(pool).forEach(function(entry) {
+		heaviest = Math.max(heaviest, entry.weight);
+	});
+
+	adaptive.limit = Math.min(Math.max(adaptive.limiter.update(adaptive.limit, window), adaptive.floor, heaviest),
+		adaptive.ceiling);
+
+	if (Math.floor(adaptive.limit) !== pool.max) {
+		pool.max = adaptive.limit;
+	}
+}
+
+
+/**
+ * Asks the circuit breaker of the pool for permission to create an object. A closed breaker always grants permission
+ * and an open breaker always refuses it, until its cool-down has elapsed and it becomes half-open. A half-open breaker
+ * grants permission to a limited number of concurrent probe creations whose outcome decides whether it closes again.
+ *
+ * @private
+ * @param {Pool} pool The pool instance that wants to create an object.
+ * @returns {Object|null} A ticket to pass to `report()` with the outcome of the creation, or `null` if permission is
+ *     refused.
+ */
+function admit(pool) {
+	let breaker = maps.breaker.get(pool);
+
+	if (!breaker) {
+		return {
+			probe: false
+		};
+	}
+
+	let state = circuit(pool);
+
+	if (state === breakerStates.CLOSED) {
+		return {
+			probe: false
+		};
+	}
+
+	if (state === breakerStates.HALF_OPEN && breaker.probing < breaker.probes) {
+		breaker.probing++;
+
+		return {
+			probe: true
+		};
+	}
+
+	return null;
+}
+
+
+/**
+ * Raises the effective priority of every waiting acquisition request by `rate` for each `intervalMs` it has waited, up
+ * to `ceiling`, so that low priority requests cannot be starved indefinitely. Requests never lose priority through
+ * aging, even if they were requested with a priority above the ceiling.
+ *
+ * @private
+ * @param {Pool} pool The pool instance whose waiting acquisition requests should be aged.
+ */
+function age(pool) {
+	let aging = maps.aging.get(pool);
+	let now = Date.now();
+
+	if (pool.waiting === 0) {
+		return;
+	}
+
+	maps.queue.get(pool).rebuild(function(entry) {
+		let raised = entry.priority + aging.rate * Math.floor((now - entry.queued) / aging.intervalMs);
+
+		entry.effective = Math.max(entry.priority, Math.min(raised, aging.ceiling));
+	});
+}
+
+
+/**
+ * Calculates how long to wait before the next creation attempt: exponential backoff from `minDelayMs`, capped at
+ * `maxDelayMs`, with optional "full" jitter to avoid many acquisition requests retrying in lockstep.
+ *
+ * @private
+ * @param {Object} policy The normalized retry policy of the pool.
+ * @param {Number} attempt The number of the attempt that just failed, starting at 1.
+ * @returns {Number} The delay in milliseconds.
+ */
+function backoff(policy, attempt) {
+	let delay = Math.min(policy.minDelayMs * Math.pow(policy.factor, attempt - 1), policy.maxDelayMs);
+
+	return policy.jitter ? Math.random() * delay : delay;
+}
+
+
+/**
+ * Withdraws a queued acquisition request.
+ *
+ * @private
+ * @param {Pool} pool The pool instance that the acquisition request was queued on.
+ * @param {Object} entry The queue object to withdraw.
+ */
+function cancel(pool, entry) {
+	clearTimeout(entry.timer);
+	maps.queue.get(pool).cancel(entry);
+	maps.waiters.get(pool).delete(entry);
+}
+
+
+/**
+ * Determines the current state of the circuit breaker of the pool, moving an open breaker to half-open once its
+ * cool-down has elapsed.
+ *
+ * @private
+ * @param {Pool} pool The pool instance whose breaker should be checked.
+ * @returns {String|null} One of the `breakerStates`, or `null` if the pool has no breaker.
+ */
+function circuit(pool) {
+	let breaker = maps.breaker.get(pool);
+
+	if (!breaker) {
+		return null;
+	}
+
+	if (breaker.state === breakerStates.OPEN && Date.now() - breaker.opened >= breaker.cooldownMs) {
+		trip(pool, breakerStates.HALF_OPEN);
+	}
+
+	return breaker.state;
+}
+
+
+/**
+ * Creates a new object to fulfill an acquisition request that has already been counted against `max`. Failed creations
+ * are retried according to the retry policy of the pool. Once the policy is exhausted (or the error is not retryable)
+ * the acquisition request is rejected: with a `CreateError` wrapping the error if the policy permits only a single
+ * attempt, otherwise with a `RetryError` carrying the history of every attempt.
+ *
+ * @private
+ * @param {Pool} pool The pool instance that is being operated on.
+ * @param {Object} entry The queue object for the acquisition request.
+ * @returns {Promise} A promise that is resolved when the acquisition request has been fulfilled or rejected.
+ */
+function create(pool, entry) {
+	let policy = maps.options.get(pool).retry;
+	let history = [];
+
+	function attempt() {
+		let started = Date.now();
+
+		// A request that was given up on by a forced drain has already been rejected and its slot freed, so a failed
+		// creation is not retried.
+		if (entry.orphaned) {
+			settle();
+
+			return Promise.resolve();
+		}
+
+		let ticket = admit(pool);
+
+		// While the circuit breaker is open the acquisition request is rejected without troubling the factory at all.
+		if (!ticket) {
+			maps.preparing.get(pool).delete(entry);
+			entry.deferred.reject(new errors.CircuitOpenError());
+			vacate(pool, entry.weight);
+			settle();
+
+			return Promise.resolve();
+		}
+
+		// The rejection handler is deliberately attached alongside the fulfillment handler rather than chained after it
+		// so that an exception thrown by an event listener cannot be mistaken for a creation failure. Events are only
+		// emitted once the bookkeeping is done, so that such an exception cannot leave the request hanging either.
+		return pool._create()
+			.then(function(obj) {
+				let duration = Date.now() - started;
+
+				report(pool, ticket, true);
+
+				// When the object is successfully created, mark it as originating from this pool.
+				register(pool, obj);
+
+				// Resolve the original acquisition request.
+				issue(pool, entry, obj);
+				settle();
+
+				emit(pool, 'create', {
+					duration: duration,
+					object: obj
+				});
+			}, function(err) {
+				let duration = Date.now() - started;
+
+				report(pool, ticket, false);
+
+				let record = {
+					attempt: history.length + 1,
+					duration: duration,
+					error: err
+				};
+
+				// Aborted acquisition requests have already been rejected, so there is no point in trying again.
+				let retry = record.attempt < policy.attempts && !entry.aborted && !entry.orphaned && retryable(policy, err);
+
+				history.push(record);
+				maps.stats.get(pool).createFailures++;
+
+				let next;
+
+				if (retry) {
+					record.delay = backoff(policy, record.attempt);
+
+					next = new Promise(function(resolve) {
+						setTimeout(resolve, record.delay);
+					})
+						.then(attempt);
+				}
+				else if (entry.orphaned) {
+					settle();
+				}
+				else {
+					maps.preparing.get(pool).delete(entry);
+
+					// There was an error during object creation, so reject the original acquisition request.
+					entry.deferred.reject(policy.attempts > 1 ? new errors.RetryError(history) : new errors.CreateError(err));
+
+					// Decrease the count of the pool to "undo" the pre-emptive increment.
+					vacate(pool, entry.weight);
+					settle();
+				}
+
+				emit(pool, 'createError', {
+					attempt: record.attempt,
+					duration: duration,
+					error: err
+				});
+
+				return next;
+			});
+	}
+
+	// Once the acquisition request has its object, or has failed for good, another creation may start in its place.
+	function settle() {
+		maps.pending.set(pool, maps.pending.get(pool) - 1);
+
+		if (maps.state.get(pool) === states.ACTIVE) {
+			fill(pool);
+			replenish(pool);
+		}
+	}
+
+	maps.pending.set(pool, maps.pending.get(pool) + 1);
+
+	return attempt();
+}
+
+
+/**
+ * Completes the drain of the pool once its last slot has been freed. Every path that frees a slot must come through
+ * here, otherwise a drain that is waiting for that slot would never finish.
+ *
+ * @private
+ * @param {Pool} pool The pool instance whose slot has been freed.
+ * @param {Number} count The updated count of the pool.
+ */
+function conclude(pool, count) {
+	if (count === 0 && maps.state.get(pool) === states.DRAINING) {
+		maps.transition.get(pool).resolve();
+		maps.transition.delete(pool);
+	}
+}
+
+
+/**
+ * Applies the `timeout` and `force` options of `.drain()` to the ongoing drain of the pool. Without `force` the returned
+ * promise is rejected with a `TimeoutError` once the timeout elapses, but the pool carries on draining. With `force`
+ * the outstanding objects are destroyed once the timeout elapses, or immediately if there is no timeout.
+ *
+ * @private
+ * @param {Pool} pool The pool instance that is draining.
+ * @param {Object} options The options passed to `.drain()`.
+ * @returns {Promise} A promise that is resolved when the pool is drained.
+ */
+function deadline(pool, options) {
+	let transition = maps.transition.get(pool);
+	let timeout = parseInt(options.timeout, 10);
+
+	if (!(timeout > 0)) {
+		if (options.force) {
+			force(pool);
+		}
+
+		return transition.promise;
+	}
+
+	return new Promise(function(resolve, reject) {
+		let timer = setTimeout(function() {
+			if (options.force) {
+				force(pool);
+			}
+			else {
+				reject(new errors.TimeoutError('Pool did not drain in time.'));
+			}
+		}, timeout);
+
+		transition.promise.then(function() {
+			clearTimeout(timer);
+			resolve();
+		}, function(err) {
+			clearTimeout(timer);
+			reject(err);
+		});
+	});
+}
+
+
+/**
+ * Removes and returns the next acquisition request that should be fulfilled, skipping any that have been cancelled.
+ *
+ * @private
+ * @param {Pool} pool The pool instance whose queue should be dequeued.
+ * @param {Object} [entry] A particular queue object to remove instead.
+ * @returns {Object} The removed queue object.
+ */
+function dequeue(pool, entry) {
+	entry = maps.queue.get(pool).dequeue(entry);
+
+	maps.waiters.get(pool).delete(entry);
+
+	return entry;
+}
+
+
+/**
+ * Destroys a single pool object with the configured destroy function and announces it once it has been destroyed.
+ * Failures are announced too and, if the pool quarantines objects, the object is held in quarantine until destroying
+ * it succeeds.
+ *
+ * @private
+ * @param {Pool} pool The pool instance that the object originated from.
+ * @param {Object} obj The object to destroy.
+ * @returns {Promise} A promise that is resolved when the object has been destroyed, or rejected with a `DestroyError`.
+ */
+function destroy(pool, obj) {
+	let quarantine = maps.quarantine.get(pool);
+
+	return pool._destroy(obj)
+		.then(function() {
+			if (quarantine) {
+				quarantine.delete(obj);
+			}
+
+			emit(pool, 'destroy', {
+				object: obj
+			});
+		}, function(err) {
+			maps.stats.get(pool).destroyFailures++;
+
+			if (quarantine) {
+				quarantine.add(obj);
+			}
+
+			emit(pool, 'destroyError', {
+				error: err,
+				object: obj,
+				quarantined: Boolean(quarantine)
+			});
+
+			throw new errors.DestroyError(err);
+		});
+}
+
+
+/**
+ * Destroys every object currently held in the idle set of the pool. The idle set is emptied synchronously so that no
+ * subsequent acquisition request can be issued an object that is in the process of being destroyed.
+ *
+ * @private
+ * @param {Pool} pool The pool instance whose idle objects should be destroyed.
+ * @returns {Promise} A promise that is resolved when all of the idle objects have been destroyed or have failed to be.
+ */
+function destroyIdle(pool) {
+	let idle = maps.idle.get(pool);
+	let quarantine = maps.quarantine.get(pool);
+
+	maps.idle.set(pool, []);
+
+	// Quarantined objects get another chance to be destroyed along with the idle ones.
+	if (quarantine) {
+		idle = idle.concat(Array.from(quarantine));
+	}
+
+	// Failures have already been announced, and they must not stop the pool from draining.
+	return Promise.all(idle.map(function(obj) {
+		return destroy(pool, obj).catch(noop);
+	}));
+}
+
+
+/**
+ * Destroys an object that has been released rather than keeping it for reuse, then frees its slot once it has been
+ * destroyed. The slot is freed even if destroying the object fails, so that a failing destroy function cannot leak
+ * capacity or stall a drain.
+ *
+ * @private
+ * @param {Pool} pool The pool instance that the object is being released to.
+ * @param {Object} obj The object to destroy.
+ * @returns {Promise} A promise that is resolved when the object has been destroyed and its slot freed, or rejected with
+ *     a `DestroyError` once its slot has been freed.
+ */
+function discard(pool, obj) {
+	let failure = null;
+
+	return destroy(pool, obj)
+		.catch(function(err) {
+			failure = err;
+		})
+		.then(function() {
+			vacate(pool, maps.meta.get(obj).weight);
+
+			emit(pool, 'release', {
+				destroyed: true,
+				object: obj
+			});
+
+			if (maps.state.get(pool) === states.ACTIVE) {
+				// It is likely that this fill will only resolve one acquisition request, but calling spawn directly would
+				// potentially leave slots unclaimed.
+				fill(pool);
+				replenish(pool);
+			}
+
+			if (failure) {
+				throw failure;
+			}
+		});
+}
+
+
+/**
+ * Emits a lifecycle event from the pool. Every event payload carries the time at which it was emitted along with the
+ * `count` and `waiting` values of the pool at that moment so that listeners do not need to poll the getters.
+ *
+ * @private
+ * @param {Pool} pool The pool instance emitting the event.
+ * @param {String} event The name of the event.
+ * @param {Object} [data] Additional event-specific properties to include in the payload.
+ */
+function emit(pool, event, data) {
+	pool.emit(event, Object.assign({
+		timestamp: Date.now(),
+		count: pool.count,
+		waiting: pool.waiting
+	}, data));
+}
+
+
+/**
+ * Destroys an idle object that has outlived its usefulness and announces why it was evicted. Failures are recorded by
+ * `destroy()` and otherwise ignored because there is no caller to report them to.
+ *
+ * @private
+ * @param {Pool} pool The pool instance that the object originated from.
+ * @param {Object} obj The object to evict.
+ * @param {String} reason Why the object was evicted: 'idle', 'lifetime', 'uses' or 'invalid'.
+ */
+function evict(pool, obj, reason) {
+	emit(pool, 'evict', {
+		object: obj,
+		reason: reason
+	});
+
+	destroy(pool, obj).catch(noop);
+}
+
+
+/**
+ * Determines whether an object has exceeded its maximum lifetime or its maximum number of uses and so must not be
+ * issued again.
+ *
+ * @private
+ * @param {Pool} pool The pool instance that the object originated from.
+ * @param {Object} obj The object to check.
+ * @returns {String|null} 'lifetime' or 'uses' if the object has expired, otherwise `null`.
+ */
+function expired(pool, obj) {
+	let options = maps.options.get(pool);
+	let meta = maps.meta.get(obj);
+
+	if (options.maxLifetimeMs > 0 && Date.now() - meta.created >= options.maxLifetimeMs) {
+		return 'lifetime';
+	}
+
+	if (options.maxUses > 0 && meta.uses >= options.maxUses) {
+		return 'uses';
+	}
+
+	return null;
+}
+
+
+/**
+ * Attempts to fill any available pool slots and spawn appropriate acquisition requests. "Filling" amounts to issuing
+ * acquisition requests until their combined weight reaches the stipulated maximum on the instance (or all acquisition
+ * requests if there are fewer than the permitted maximum).
+ *
+ * @private
+ * @param {Pool} pool The pool instance that should be "filled"
+ */
+function fill(pool) {
+	// A paused pool keeps its acquisition requests queued until it is resumed.
+	if (maps.state.get(pool) === states.PAUSED) {
+		return;
+	}
+
+	let blocking = maps.options.get(pool).headOfLineBlocking;
+	let maxPendingCreates = maps.options.get(pool).maxPendingCreates;
+	let queue = maps.queue.get(pool);
+
+	// While there are outstanding acquisition requests whose weight fits in the units left under the allotted maximum,
+	// attempt to fill the available space. Objects being created to satisfy `min` are counted against the maximum
+	// because they will be issued to waiting acquisition requests as soon as they are ready. The rate limit is checked
+	// last so that a token is only consumed when an acquisition request will actually be spawned.
+	while (pool.waiting > 0) {
+		let available = pool.max - pool.units - maps.warming.get(pool).count;
+
+		// Unless head-of-line blocking is disabled, a request that does not fit holds up every request behind it. That
+		// keeps heavy requests from being starved by a steady stream of lighter ones.
+		let entry = queue.peek(blocking ? undefined : function(item) {
+			return item.weight <= available;
+		});
+
+		// Without an idle object to reuse the request would have to create one, which waits for a creation to finish
+		// once `maxPendingCreates` are already underway.
+		if (!entry || entry.weight > available || pool.idle === 0 && pool.pending >= maxPendingCreates || !take(pool)) {
+			return;
+		}
+
+		spawn(pool, dequeue(pool, entry));
+	}
+}
+
+
+/**
+ * Destroys every object that is currently issued by a draining pool, without waiting for it to be released. The
+ * acquisition requests whose objects are still being prepared are rejected and their slots freed at once, and their
+ * objects are destroyed as soon as they are ready.
+ *
+ * @private
+ * @param {Pool} pool The pool instance that is draining.
+ */
+function force(pool) {
+	let preparing = maps.preparing.get(pool);
+
+	// Requests whose objects are still being created or validated are given up on rather than waited for, because a
+	// factory that never settles would otherwise hold up the drain forever. Their objects are destroyed on arrival.
+	Array.from(preparing).forEach(function(entry) {
+		entry.orphaned = true;
+		preparing.delete(entry);
+		entry.deferred.reject(new errors.PoolClosedError());
+		vacate(pool, entry.weight);
+	});
+
+	Array.from(maps.borrowed.get(pool).keys()).forEach(function(obj) {
+		pool.release(obj, {
+			destroy: true
+		}).catch(noop);
+	});
+}
+
+
+/**
+ * Fulfills an acquisition request with the indicated object and records how long the request waited to be fulfilled.
+ * Objects prepared for aborted acquisition requests are released instead.
+ *
+ * @private
+ * @param {Pool} pool The pool instance that the acquisition request was made on.
+ * @param {Object} entry The queue object for the acquisition request.
+ * @param {Object} obj The object to issue.
+ */
+function issue(pool, entry, obj) {
+	// The weight travels with the object so that releasing it returns the right number of units.
+	maps.meta.get(obj).weight = entry.weight;
+
+	maps.preparing.get(pool).delete(entry);
+
+	// If the acquisition request was given up on by a forced drain then its slot has already been freed, so all that is
+	// left to do is destroy the object.
+	if (entry.orphaned) {
+		destroy(pool, obj).catch(noop);
+
+		return;
+	}
+
+	// If the acquisition request was aborted while the object was being prepared then nobody will ever release it, so it
+	// is returned to the pool immediately.
+	if (entry.aborted) {
+		pool.release(obj).catch(noop);
+
+		return;
+	}
+
+	let leakDetectionMs = maps.options.get(pool).leakDetectionMs;
+	let loan = {
+		issued: Date.now(),
+		stack: entry.stack,
+		timer: null
+	};
+	let stats = maps.stats.get(pool);
+
+	if (leakDetectionMs > 0) {
+		loan.timer = setTimeout(function() {
+			leak(pool, obj);
+		}, leakDetectionMs);
+
+		loan.timer.unref();
+	}
+
+	stats.acquisitions++;
+	stats.waitTime.record(loan.issued - entry.queued);
+	maps.borrowed.get(pool).set(obj, loan);
+	maps.meta.get(obj).uses++;
+
+	entry.deferred.resolve(obj);
+}
+
+
+/**
+ * Announces that an issued object has been held for longer than `leakDetectionMs` without being released. Without any
+ * `leak` listeners a process warning is emitted instead, so that leaks are noticed even if nobody is listening.
+ *
+ * @private
+ * @param {Pool} pool The pool instance that issued the object.
+ * @param {Object} obj The object that may have leaked.
+ */
+function leak(pool, obj) {
+	let loan = maps.borrowed.get(pool).get(obj);
+	let heldMs = Date.now() - loan.issued;
+	let leakDetectionMs = maps.options.get(pool).leakDetectionMs;
+
+	// Timers can fire a millisecond early as measured by the wall clock, in which case the check is simply deferred.
+	if (heldMs < leakDetectionMs) {
+		loan.timer = setTimeout(function() {
+			leak(pool, obj);
+		}, leakDetectionMs - heldMs);
+
+		loan.timer.unref();
+
+		return;
+	}
+
+	if (pool.listenerCount('leak') > 0) {
+		emit(pool, 'leak', {
+			heldMs: heldMs,
+			object: obj,
+			stack: loan.stack
+		});
+
+		return;
+	}
+
+	process.emitWarning('Pool object has been held for ' + heldMs + 'ms without being released.\n' + loan.stack,
+		'PoolLeakWarning');
+}
+
+
+/**
+ * Fulfills an acquisition request that has already been counted against `max` with an idle object. If validation on
+ * acquisition is enabled the object is validated first; objects that fail are evicted and the next idle object (or,
+ * failing that, a newly created one) is tried instead, so the acquisition request never sees an invalid object.
+ *
+ * @private
+ * @param {Pool} pool The pool instance that is being operated on.
+ * @param {Object} entry The queue object for the acquisition request.
+ * @param {Object} obj The idle object to issue.
+ * @returns {Promise} A promise that is resolved when the acquisition request has been fulfilled or rejected.
+ */
+function lend(pool, entry, obj) {
+	// Clearing the cached release allows the object to be released again by its new holder.
+	maps.releases.get(pool).delete(obj);
+
+	if (!pool._validate || !maps.options.get(pool).validateOnAcquire) {
+		issue(pool, entry, obj);
+
+		return Promise.resolve();
+	}
+
+	return validate(pool, obj)
+		.then(function(valid) {
+			if (valid) {
+				issue(pool, entry, obj);
+
+				return;
+			}
+
+			evict(pool, obj, 'invalid');
+
+			// A forced drain may have given up on the request while its object was being validated.
+			if (entry.orphaned) {
+				return;
+			}
 
-// We want to freeze this object so that the states are accessible but still immutable.
-Object.freeze(states);
+			let next = reuse(pool);
+
+			if (next) {
+				return lend(pool, entry, next);
+			}
+
+			// Creating an object in its place is subject to `maxPendingCreates` like any other creation, otherwise a
+			// stale idle set would turn into a burst of creations just as the backend recovers.
+			if (pool.pending >= maps.options.get(pool).maxPendingCreates && !entry.aborted &&
+				maps.state.get(pool) !== states.DRAINING) {
+				requeue(pool, entry);
+
+				return;
+			}
+
+			return create(pool, entry);
+		});
+}
+
+
+/**
+ * An embedded no-op. Used to reduce the number of bloat dependencies.
+ *
+ * @private
+ */
+function noop() {}
 
 
 /**
@@ -58,44 +930,350 @@ function promisify(fn) {
 
 
 /**
- * Attempts to fill any available pool slots and spawn appropriate acquisition requests. "Filling" amounts to issuing
- * acquisition requests up to the stipulated maximum on the instance (or all acquisition requests if there are fewer
- * than the permitted maximum).
+ * Marks a newly created object as originating from the pool and starts tracking its age and usage.
  *
  * @private
- * @param {Pool} pool The pool instance that should be "filled"
+ * @param {Pool} pool The pool instance that created the object.
+ * @param {Object} obj The newly created object.
  */
-function fill(pool) {
-	let queue = maps.queue.get(pool);
+function register(pool, obj) {
+	maps.origin.set(obj, pool);
+	maps.meta.set(obj, {
+		created: Date.now(),
+		idleSince: null,
+		uses: 0
+	});
+}
+
 
-	// While the current count is less than the allotted maximum and there are outstanding acquisition requests, attempt
-	// to fill the available space.
-	while (pool.count < pool.max && pool.waiting > 0) {
-		spawn(pool, queue.dequeue().deferred);
+/**
+ * Rejects every waiting acquisition request with an error of the indicated type.
+ *
+ * @private
+ * @param {Pool} pool The pool instance whose queue should be emptied.
+ * @param {Function} Type The class of the error to reject the requests with.
+ */
+function refuse(pool, Type) {
+	while (pool.waiting > 0) {
+		let entry = dequeue(pool);
+
+		// Flag the request as cancelled so that a later abort does not try to remove it from the queue again.
+		entry.cancelled = true;
+		clearTimeout(entry.timer);
+		entry.deferred.reject(new Type());
 	}
 }
 
 
 /**
- * An embedded no-op. Used to reduce the number of bloat dependencies.
+ * Creates objects in the background until the pool holds at least `min` of them, counting both idle and issued
+ * objects. Created objects are added to the idle set and handed to any waiting acquisition requests. Failed creations
+ * are retried with exponential backoff, or after the cool-down if the circuit breaker is open.
  *
  * @private
+ * @param {Pool} pool The pool instance that should be replenished.
  */
-function noop() {}
+function replenish(pool) {
+	let warming = maps.warming.get(pool);
+	let min = Math.min(maps.min.get(pool), pool.max);
+
+	if (maps.state.get(pool) !== states.ACTIVE || warming.timer) {
+		return;
+	}
+
+	if (pool.count + pool.idle >= min) {
+		maps.ready.get(pool).resolve();
+	}
+
+	while (pool.count + pool.idle + warming.count < min && pool.pending < maps.options.get(pool).maxPendingCreates) {
+		let started = Date.now();
+		let ticket = admit(pool);
+
+		// While the circuit breaker is open, try again once its cool-down has elapsed.
+		if (!ticket) {
+			let breaker = maps.breaker.get(pool);
+
+			schedule(pool, Math.max(breaker.opened + breaker.cooldownMs - Date.now(), REPLENISH_BACKOFF_MS));
+
+			return;
+		}
+
+		warming.count++;
+
+		pool._create()
+			.then(function(obj) {
+				let duration = Date.now() - started;
+				let state = maps.state.get(pool);
+
+				report(pool, ticket, true);
+				register(pool, obj);
+				warming.count--;
+				warming.failures = 0;
+
+				if (state !== states.ACTIVE && state !== states.PAUSED) {
+					destroy(pool, obj).catch(noop);
+				}
+				else {
+					maps.meta.get(obj).idleSince = Date.now();
+					maps.idle.get(pool).push(obj);
+
+					fill(pool);
+					replenish(pool);
+				}
+
+				emit(pool, 'create', {
+					duration: duration,
+					object: obj
+				});
+			}, function(err) {
+				let delay = Math.min(REPLENISH_BACKOFF_MS * Math.pow(2, warming.failures), REPLENISH_BACKOFF_MAX_MS);
+
+				report(pool, ticket, false);
+				warming.count--;
+				warming.failures++;
+				maps.stats.get(pool).createFailures++;
+
+				// Waiting acquisition requests may now be able to create their own objects.
+				fill(pool);
+				schedule(pool, delay);
+
+				emit(pool, 'createError', {
+					duration: Date.now() - started,
+					error: err
+				});
+			})
+			.catch(noop);
+	}
+}
+
+
+/**
+ * Records the outcome of a creation that was admitted by the circuit breaker. Consecutive failures while closed open
+ * the breaker once they reach the threshold; the outcome of a probe closes or re-opens a half-open breaker.
+ *
+ * @private
+ * @param {Pool} pool The pool instance that attempted the creation.
+ * @param {Object} ticket The ticket returned by `admit()` for the creation.
+ * @param {Boolean} success Whether the creation succeeded.
+ */
+function report(pool, ticket, success) {
+	let breaker = maps.breaker.get(pool);
+
+	if (!breaker) {
+		return;
+	}
+
+	if (ticket.probe) {
+		breaker.probing--;
+
+		if (breaker.state === breakerStates.HALF_OPEN) {
+			trip(pool, success ? breakerStates.CLOSED : breakerStates.OPEN);
+		}
+
+		return;
+	}
+
+	if (breaker.state !== breakerStates.CLOSED) {
+		return;
+	}
+
+	breaker.failures = success ? 0 : breaker.failures + 1;
+
+	if (breaker.failures >= breaker.threshold) {
+		trip(pool, breakerStates.OPEN);
+	}
+}
+
+
+/**
+ * Puts a spawned acquisition request back in the queue, keeping its place, and frees the slot that was claimed for it.
+ * The request is spawned again by `fill()` once it can be.
+ *
+ * @private
+ * @param {Pool} pool The pool instance that the acquisition request was made on.
+ * @param {Object} entry The queue object for the acquisition request.
+ */
+function requeue(pool, entry) {
+	entry.spawned = false;
+	maps.preparing.get(pool).delete(entry);
+	vacate(pool, entry.weight);
+	maps.queue.get(pool).enqueue(entry);
+	maps.waiters.get(pool).add(entry);
+}
+
+
+/**
+ * Keeps a released object in the idle set for reuse and frees its slot immediately.
+ *
+ * @private
+ * @param {Pool} pool The pool instance that the object is being released to.
+ * @param {Object} obj The object to keep.
+ */
+function retain(pool, obj) {
+	vacate(pool, maps.meta.get(obj).weight);
+	maps.meta.get(obj).idleSince = Date.now();
+	maps.idle.get(pool).push(obj);
+
+	emit(pool, 'release', {
+		destroyed: false,
+		object: obj
+	});
+
+	// Pending acquisition requests can be fulfilled with the object that was just returned.
+	fill(pool);
+}
+
+
+/**
+ * Determines whether a released object may be kept for reuse: the pool must be active or paused, the object must not
+ * have expired and keeping it must not exceed `max`.
+ *
+ * @private
+ * @param {Pool} pool The pool instance that the object is being released to.
+ * @param {Object} obj The object being released.
+ * @returns {Boolean}
+ */
+function retainable(pool, obj) {
+	let state = maps.state.get(pool);
+
+	return (state === states.ACTIVE || state === states.PAUSED) && !expired(pool, obj) &&
+		pool.count - 1 + pool.idle < pool.max;
+}
+
+
+/**
+ * Normalizes the retry policy supplied to the pool, filling in defaults for anything that is missing or invalid.
+ *
+ * @private
+ * @param {Object} [options] The retry policy supplied to the pool.
+ * @returns {Object} The normalized retry policy.
+ */
+function retryPolicy(options = {}) {
+	let attempts = parseInt(options.attempts, 10);
+	let factor = Number(options.factor);
+	let maxDelayMs = Number(options.maxDelayMs);
+	let minDelayMs = Number(options.minDelayMs);
+
+	return {
+		attempts: attempts > 0 ? attempts : 1,
+		factor: factor >= 1 ? factor : 2,
+		jitter: options.jitter !== false,
+		maxDelayMs: maxDelayMs >= 0 ? maxDelayMs : 10000,
+		minDelayMs: minDelayMs >= 0 ? minDelayMs : 100,
+		retryable: typeof options.retryable === 'function' ? options.retryable : null
+	};
+}
+
+
+/**
+ * Determines whether a creation error should be retried according to the retry policy. A predicate that throws is
+ * treated as declining the retry.
+ *
+ * @private
+ * @param {Object} policy The normalized retry policy of the pool.
+ * @param {Error} err The error that the failed creation attempt was rejected with.
+ * @returns {Boolean}
+ */
+function retryable(policy, err) {
+	if (!policy.retryable) {
+		return true;
+	}
+
+	try {
+		return Boolean(policy.retryable(err));
+	} catch(e) {
+		return false;
+	}
+}
+
+
+/**
+ * Takes the most recently released object from the idle set, evicting any that have expired since they were last
+ * checked by the evictor.
+ *
+ * @private
+ * @param {Pool} pool The pool instance whose idle set should be used.
+ * @returns {Object|undefined} An idle object, or `undefined` if there are none.
+ */
+function reuse(pool) {
+	let idle = maps.idle.get(pool);
+
+	while (idle.length > 0) {
+		let obj = idle.pop();
+		let reason = expired(pool, obj);
+
+		if (!reason) {
+			return obj;
+		}
+
+		evict(pool, obj, reason);
+	}
+}
+
+
+/**
+ * Schedules another attempt to replenish the pool after a delay, unless one is already scheduled. The timer is
+ * unreferenced so that it does not keep the process alive.
+ *
+ * @private
+ * @param {Pool} pool The pool instance that should be replenished.
+ * @param {Number} delay The delay in milliseconds.
+ */
+function schedule(pool, delay) {
+	let warming = maps.warming.get(pool);
+
+	if (warming.timer) {
+		return;
+	}
+
+	warming.timer = setTimeout(function() {
+		warming.timer = null;
+		replenish(pool);
+	}, delay);
+
+	warming.timer.unref();
+}
 
 
 /**
- * A simple comparator to interface with the underlying PriorityQueue. Queue objects are constructed internally, so the
- * `priority` property can be guaranteed. The comparator itself stipulates the order that acquisition requests will be
- * fulfilled.
+ * Enforces `maxWaiting` after an acquisition request has been queued by withdrawing one waiting request according to
+ * the overflow policy of the pool. The new request is rejected with a `QueueFullError` if it is the one withdrawn,
+ * while a request that was already waiting is rejected with a `ShedError`.
  *
  * @private
- * @param {Object} a A primary queue object to compare.
- * @param {Object} b A secondary queue object to compare.
- * @returns {Number} The relative priority indicating to the PriorityQueue the insertion order.
+ * @param {Pool} pool The pool instance whose queue may be overflowing.
+ * @param {Object} entry The queue object of the acquisition request that was just queued.
  */
-function queueComparator(a, b) {
-	return b.priority - a.priority;
+function shed(pool, entry) {
+	let options = maps.options.get(pool);
+
+	if (pool.waiting <= options.maxWaiting) {
+		return;
+	}
+
+	let victim = entry;
+	let waiters = maps.waiters.get(pool);
+
+	if (options.overflow === overflowPolicies.DROP_OLDEST) {
+		victim = waiters.values().next().value;
+	}
+	else if (options.overflow === overflowPolicies.DROP_LOWEST_PRIORITY) {
+		let compare = maps.queue.get(pool).compare;
+
+		waiters.forEach(function(waiter) {
+			if (compare(waiter, victim) > 0) {
+				victim = waiter;
+			}
+		});
+	}
+
+	cancel(pool, victim);
+	victim.deferred.reject(victim === entry ? new errors.QueueFullError() : new errors.ShedError(options.overflow));
+
+	emit(pool, 'shed', {
+		policy: options.overflow,
+		priority: victim.priority
+	});
 }
 
 
@@ -105,34 +1283,207 @@ function queueComparator(a, b) {
  *
  * @private
  * @param {Pool} pool The pool instance that is being operated on.
- * @param {Object} deferred An internal "deferred" object that can be used to reject or resolve the original
- *     acquisition requests.
- * @returns {Promise} A promise that is resolved when the pool object is successfully created.
+ * @param {Object} entry The queue object for the acquisition request. Its internal "deferred" object can be used to
+ *     reject or resolve the original acquisition request.
+ * @returns {Promise} A promise that is resolved when the acquisition request has been fulfilled or rejected.
  */
-function spawn(pool, deferred) {
+function spawn(pool, entry) {
+	// The acquisition request is no longer waiting, so it can no longer time out.
+	clearTimeout(entry.timer);
+	entry.spawned = true;
+
 	// Make sure to increase the counter. If there is an error during creation we'll just decrease the counter again.
 	// But if the object takes a particularly long time to create we don't want any other acquisition requests cutting
 	// in line.
-	let count = maps.count.get(pool);
+	maps.count.set(pool, maps.count.get(pool) + 1);
+	maps.units.set(pool, maps.units.get(pool) + entry.weight);
+	maps.preparing.get(pool).add(entry);
+
+	let obj = reuse(pool);
+
+	emit(pool, 'spawn', {
+		effectivePriority: entry.effective,
+		priority: entry.priority,
+		reused: Boolean(obj)
+	});
+
+	// Nobody waits on the preparation itself and the acquisition request has been settled by the time it finishes, so
+	// an exception thrown by an event listener along the way must not surface as an unhandled rejection.
+	return (obj ? lend(pool, entry, obj) : create(pool, entry))
+		.catch(noop);
+}
+
+
+/**
+ * Runs the evictor over the idle set of the pool. Idle objects that have expired are always destroyed, while objects
+ * that have merely been idle for longer than `idleTimeoutMs` are only destroyed as long as at least `min` objects
+ * remain. The oldest idle objects are considered first. Any shortfall below `min` is then replenished.
+ *
+ * @private
+ * @param {Pool} pool The pool instance whose idle objects should be checked.
+ */
+function sweep(pool) {
+	if (maps.state.get(pool) !== states.ACTIVE) {
+		return;
+	}
+
+	let idleTimeoutMs = maps.options.get(pool).idleTimeoutMs;
+	let now = Date.now();
+	let surplus = pool.count + pool.idle - Math.min(maps.min.get(pool), pool.max);
+
+	let kept = maps.idle.get(pool).filter(function(obj) {
+		let reason = expired(pool, obj);
+
+		if (!reason && idleTimeoutMs > 0 && surplus > 0 && now - maps.meta.get(obj).idleSince >= idleTimeoutMs) {
+			reason = 'idle';
+		}
+
+		if (reason) {
+			surplus--;
+			evict(pool, obj, reason);
+
+			return false;
+		}
+
+		return true;
+	});
+
+	maps.idle.set(pool, kept);
+
+	replenish(pool);
+}
+
+
+/**
+ * Consumes a token from the rate limiting bucket of the pool, if it has one. The bucket holds up to `burst` tokens and
+ * is continuously replenished at `limit` tokens per `intervalMs`. When the bucket is empty a timer is scheduled to
+ * fill the pool again as soon as the next token becomes available.
+ *
+ * @private
+ * @param {Pool} pool The pool instance whose rate limit should be checked.
+ * @returns {Boolean} `true` if an acquisition request may be spawned now.
+ */
+function take(pool) {
+	let rate = maps.rate.get(pool);
+
+	if (!rate) {
+		return true;
+	}
+
+	let now = Date.now();
+
+	rate.tokens = Math.min(rate.burst, rate.tokens + (now - rate.updated) * rate.limit / rate.intervalMs);
+	rate.updated = now;
+
+	if (rate.tokens >= 1) {
+		rate.tokens--;
+
+		return true;
+	}
+
+	if (!rate.timer) {
+		rate.timer = setTimeout(function() {
+			rate.timer = null;
+
+			if (maps.state.get(pool) === states.ACTIVE) {
+				fill(pool);
+			}
+		}, Math.ceil((1 - rate.tokens) * rate.intervalMs / rate.limit));
+	}
+
+	return false;
+}
+
+
+/**
+ * Counts a task as queued or running until the indicated promise settles, at which point any `.onIdle()` callers are
+ * notified if it was the last one.
+ *
+ * @private
+ * @param {Pool} pool The pool instance that the task is running on.
+ * @param {Promise} promise A promise that settles when the task has finished.
+ */
+function track(pool, promise) {
+	maps.tasks.set(pool, maps.tasks.get(pool) + 1);
+
+	function done() {
+		let tasks = maps.tasks.get(pool) - 1;
+
+		maps.tasks.set(pool, tasks);
+
+		if (tasks === 0) {
+			let waiters = maps.onIdle.get(pool);
+
+			maps.onIdle.set(pool, []);
+			waiters.forEach(function(deferred) {
+				deferred.resolve();
+			});
+		}
+	}
+
+	promise.then(done, done);
+}
+
+
+/**
+ * Moves the circuit breaker of the pool to a new state and announces the transition.
+ *
+ * @private
+ * @param {Pool} pool The pool instance whose breaker is changing state.
+ * @param {String} state One of the `breakerStates`.
+ */
+function trip(pool, state) {
+	let breaker = maps.breaker.get(pool);
+	let previous = breaker.state;
+
+	breaker.failures = 0;
+	breaker.opened = state === breakerStates.OPEN ? Date.now() : breaker.opened;
+	breaker.state = state;
+
+	emit(pool, 'breaker', {
+		previous: previous,
+		state: state
+	});
+
+	// Acquisition requests that are already waiting would only be refused one by one, so fail them all now.
+	if (state === breakerStates.OPEN) {
+		refuse(pool, errors.CircuitOpenError);
+	}
+}
+
+
+/**
+ * Returns the units and the slot that were claimed for an acquisition request when it was spawned, either because the
+ * request failed or because its object has been released, and completes the drain of the pool if that was its last slot.
+ *
+ * @private
+ * @param {Pool} pool The pool instance that the acquisition request was made on.
+ * @param {Number} weight The weight of the acquisition request.
+ * @returns {Number} The updated count of the pool.
+ */
+function vacate(pool, weight) {
+	let count = maps.count.get(pool) - 1;
 
-	count++;
 	maps.count.set(pool, count);
+	maps.units.set(pool, maps.units.get(pool) - weight);
+	conclude(pool, count);
 
-	return pool._create()
-		.then(function(obj) {
-			// When the object is successfully created, mark it as originating from this pool.
-			maps.origin.set(obj, pool);
+	return count;
+}
 
-			// Resolve the original acquisition request.
-			deferred.resolve(obj);
-		})
-		.catch(function(err) {
-			// There was an error during object creation, so reject the original acquisition request.
-			deferred.reject(err);
 
-			// Decrease the count of the pool to "undo" the pre-emptive increment.
-			count--;
-			maps.count.set(pool, count);
+/**
+ * Runs the configured validation function against an object. Rejections are treated the same as falsy results.
+ *
+ * @private
+ * @param {Pool} pool The pool instance that the object originated from.
+ * @param {Object} obj The object to validate.
+ * @returns {Promise} A promise that is resolved with `true` if the object is valid and `false` otherwise.
+ */
+function validate(pool, obj) {
+	return pool._validate(obj)
+		.then(Boolean, function() {
+			return false;
 		});
 }
 
@@ -156,30 +1507,243 @@ class Slot {
 /**
  * Placeholder.
  *
+ * Instances are EventEmitters and emit the following lifecycle events. Every event payload is an object carrying
+ * `timestamp`, `count` and `waiting` properties in addition to the event-specific properties listed.
+ *   - `acquire` An acquisition request was queued (`priority`).
+ *   - `spawn` An acquisition request left the queue to be fulfilled (`priority`, `effectivePriority`, `reused`).
+ *   - `create` A new object was created (`object`, `duration`).
+ *   - `createError` Object creation failed (`error`, `duration`, `attempt` when fulfilling an acquisition request).
+ *   - `release` An object was returned to the pool (`object`, `destroyed`).
+ *   - `destroy` An object was destroyed (`object`).
+ *   - `evict` An idle object was evicted (`object`, `reason`). Reasons are 'idle', 'lifetime', 'uses' or 'invalid'.
+ *   - `drain` The pool started draining.
+ *   - `drained` The pool finished draining.
+ *   - `pause` The pool was paused.
+ *   - `resume` The pool was resumed.
+ *   - `close` The pool was closed for good.
+ *   - `max` The maximum was changed (`max`, `previous`).
+ *   - `rate` The rate limit was changed (`rate`, `previous`).
+ *   - `breaker` The circuit breaker changed state (`state`, `previous`).
+ *   - `leak` An object has been held for longer than `leakDetectionMs` (`object`, `heldMs`, `stack`). Without any
+ *     listeners a process warning is emitted instead.
+ *   - `shed` An acquisition request was withdrawn to enforce `maxWaiting` (`policy`, `priority`).
+ *   - `destroyError` An object could not be destroyed (`object`, `error`, `quarantined`). Its slot is freed regardless.
+ *
  * @class
+ * @extends EventEmitter
  * @param {Object} options A configuration object.
  * @param {Function} options.create A function that will be called to create a new pool element. Can be synchronous or
  *     asynchronous. The function must not return pool elements that are of type 'undefined', 'null', 'number',
  *     'boolean', or 'string'. Only 'object' types and its derivatives are supported.
  * @param {Function} [options.destroy] A function that will be called to destroy a pool element. Will be passed the
  *     pool element marked for destruction as the only argument.
+ * @param {Number} [options.acquireTimeoutMs] The default number of milliseconds an acquisition request may wait in
+ *     queue before it is rejected with a `TimeoutError`. Acquisition requests wait indefinitely if omitted.
  * @param {Number} [max=1] The initial maximum number of objects in the pool. Must be a positive integer greater than
  *     0. Non-conforming values are coerced with truncation or, failing that, defaulting back to 1.
+ * @param {Object} [options.rate] The initial rate limit of the pool. See the `rate` property.
+ * @param {Number} [options.idleTimeoutMs] Destroy objects that have been idle for longer than this many milliseconds,
+ *     while keeping at least `min` objects.
+ * @param {Number} [options.maxLifetimeMs] Destroy objects that were created longer than this many milliseconds ago,
+ *     even if they are otherwise healthy.
+ * @param {Number} [options.maxUses] Destroy objects once they have been issued this many times.
+ * @param {Number} [options.maxPendingCreates=Infinity] The maximum number of objects that may be created at once.
+ *     Acquisition requests that would have to create an object stay queued while this many creations are underway.
+ * @param {Number} [options.evictionIntervalMs=1000] How often the evictor checks idle objects for `idleTimeoutMs` and
+ *     `maxLifetimeMs`.
+ * @param {Function} [options.validate] A function that will be called to check whether a pool element is still
+ *     usable. Can be synchronous or asynchronous and should return (or resolve with) a truthy value if it is. Elements
+ *     that fail validation are destroyed and replaced transparently.
+ * @param {Boolean} [options.validateOnAcquire=true] Validate idle elements before issuing them.
+ * @param {Boolean} [options.validateOnRelease=false] Validate elements when they are released.
+ * @param {Object} [options.retry] The retry policy applied when creating an element for an acquisition request fails.
+ * @param {Number} [options.retry.attempts=1] The maximum number of creation attempts per acquisition request.
+ * @param {Number} [options.retry.minDelayMs=100] The delay before the first retry.
+ * @param {Number} [options.retry.maxDelayMs=10000] The maximum delay between retries.
+ * @param {Number} [options.retry.factor=2] The factor the delay is multiplied by after each retry.
+ * @param {Boolean} [options.retry.jitter=true] Randomize each delay between 0 and its calculated value.
+ * @param {Function} [options.retry.retryable] A predicate that is passed each creation error and returns whether it
+ *     should be retried. All errors are retried if omitted.
+ * @param {Object} [options.breaker] Enables a circuit breaker around element creation. After `threshold` consecutive
+ *     creation failures the breaker opens and acquisition requests are rejected with a `CircuitOpenError` without
+ *     calling `options.create`. After `cooldownMs` the breaker becomes half-open and permits up to `probes`
+ *     concurrent creations; a successful probe closes the breaker and a failed one opens it again.
+ * @param {Number} [options.breaker.threshold=5] The number of consecutive creation failures that opens the breaker.
+ * @param {Number} [options.breaker.cooldownMs=10000] How long the breaker stays open before permitting probes.
+ * @param {Number} [options.breaker.probes=1] The number of concurrent creations permitted while half-open.
+ * @param {Boolean} [options.headOfLineBlocking=true] Whether a weighted acquisition request that does not fit in the
+ *     units left under `max` holds up the requests behind it. Disabling it lets lighter requests overtake heavier
+ *     ones, which improves utilization but may starve the heavier requests.
+ * @param {Number} [options.leakDetectionMs] Announce objects that have been held for longer than this many milliseconds
+ *     without being released, along with the stack trace of where they were acquired. Capturing the stack trace has a
+ *     cost, so leak detection is disabled if omitted.
+ * @param {Number} [options.maxWaiting=Infinity] The maximum number of acquisition requests that may wait in queue.
+ * @param {String} [options.overflow='reject'] How to make room when an acquisition request would exceed
+ *     `maxWaiting`. One of `Pool.overflowPolicies`: 'reject' rejects the new request with a `QueueFullError`,
+ *     'drop-oldest' withdraws the longest waiting request and 'drop-lowest-priority' withdraws the request the queue
+ *     would serve last. Withdrawn requests are rejected with a `ShedError`.
+ * @param {String} [options.scheduler='priority'] The discipline for ordering waiting acquisition requests. One of
+ *     `Pool.schedulers`: 'priority' serves the highest priority first and the earliest queued first within a priority
+ *     level, 'lifo' serves the most recently queued first within a priority level, and 'fair' shares service between
+ *     the tenants named by acquisition requests in proportion to their weights.
+ * @param {Object} [options.tenants] The relative weight of each tenant of the 'fair' scheduler, keyed by name.
+ *     Tenants default to a weight of 1.
+ * @param {Object|Boolean} [options.aging] Enables priority aging, raising the effective priority of waiting acquisition
+ *     requests over time so that low priority requests cannot be starved by a sustained stream of higher priority ones.
+ * @param {Number} [options.aging.rate=1] How much the effective priority is raised every `intervalMs`.
+ * @param {Number} [options.aging.intervalMs=1000] How often waiting acquisition requests are aged.
+ * @param {Number} [options.aging.ceiling=Infinity] The highest effective priority that aging can raise a request to.
+ * @param {Number} [options.min=0] The minimum number of objects, idle or issued, that the pool keeps alive. They are
+ *     created eagerly on instantiation and replaced in the background when destroyed. Capped by `max`.
+ * @param {Object|Boolean} [options.adaptive] Enables an adaptive limit that adjusts `max` automatically from the hold
+ *     times of released objects and the errors reported with `.release()`, starting out from `options.max`.
+ * @param {String} [options.adaptive.algorithm='aimd'] One of `Pool.limitAlgorithms`: 'aimd' adds to the limit after
+ *     every healthy window and cuts it by `backoff` after every window with errors (or, if `latencyMs` is set, with a
+ *     higher mean hold time), while 'gradient' adjusts it by how the hold times of each window compare with their
+ *     long-term average. The other options of the algorithm (`backoff`, `increase` and `latencyMs`, or `tolerance`,
+ *     `smoothing` and `longWindow`) can be set alongside.
+ * @param {Number} [options.adaptive.floor=1] The lowest `max` the adaptive limit may set.
+ * @param {Number} [options.adaptive.ceiling=Infinity] The highest `max` the adaptive limit may set.
+ * @param {Number} [options.adaptive.windowMs=1000] How long releases are sampled for before the limit is updated.
+ * @param {Boolean} [options.quarantine=false] Hold on to objects that could not be destroyed instead of forgetting
+ *     them, so that they can be inspected with `.quarantined()`. Destroying them is attempted again when the pool drains.
  */
-class Pool {
+class Pool extends EventEmitter {
 	constructor(options = {}) {
+		super();
+
+		// An internal reference to the adaptive limit configuration, if it is enabled. The fractional `limit` is set
+		// once `max` is known.
+		if (options.adaptive) {
+			let adaptive = options.adaptive === true ? {} : options.adaptive;
+			let floor = parseInt(adaptive.floor, 10);
+			let ceiling = parseInt(adaptive.ceiling, 10);
+			let windowMs = Number(adaptive.windowMs);
+
+			maps.adaptive.set(this, {
+				ceiling: ceiling > 0 ? ceiling : Infinity,
+				floor: floor > 0 ? floor : 1,
+				limit: null,
+				limiter: adaptive.algorithm === limitAlgorithms.GRADIENT ?
+					new limits.GradientLimit(adaptive) : new limits.AIMDLimit(adaptive),
+				window: null,
+				windowMs: windowMs > 0 ? windowMs : 1000
+			});
+		}
+
+		// An internal reference to the priority aging configuration, if it is enabled. Aging rebuilds the queue, so it is
+		// done periodically rather than whenever a request is dequeued. The timer is unreferenced so that it does not keep
+		// the process alive on its own.
+		if (options.aging) {
+			let self = this;
+			let aging = options.aging === true ? {} : options.aging;
+			let rate = Number(aging.rate);
+			let intervalMs = Number(aging.intervalMs);
+			let ceiling = Number(aging.ceiling);
+
+			maps.aging.set(this, {
+				ceiling: isNaN(ceiling) ? Infinity : ceiling,
+				intervalMs: intervalMs > 0 ? intervalMs : 1000,
+				rate: rate > 0 ? rate : 1,
+				timer: null
+			});
+
+			maps.aging.get(this).timer = setInterval(function() {
+				age(self);
+			}, maps.aging.get(this).intervalMs);
+
+			maps.aging.get(this).timer.unref();
+		}
+
+		// An internal collection of the issued objects, along with when and where they were acquired.
+		maps.borrowed.set(this, new Map());
+		// An internal reference to the circuit breaker around element creation, if one is enabled.
+		if (options.breaker) {
+			let threshold = parseInt(options.breaker.threshold, 10);
+			let cooldownMs = Number(options.breaker.cooldownMs);
+			let probes = parseInt(options.breaker.probes, 10);
+
+			maps.breaker.set(this, {
+				cooldownMs: cooldownMs >= 0 ? cooldownMs : 10000,
+				failures: 0,
+				opened: 0,
+				probes: probes > 0 ? probes : 1,
+				probing: 0,
+				state: breakerStates.CLOSED,
+				threshold: threshold > 0 ? threshold : 5
+			});
+		}
+
+		// An internal reference to the promise of an ongoing `.close()`, which cannot be interrupted by `.resume()`.
+		maps.closing.set(this, null);
 		// An internal count of the currently fulfilled acquisition requests. Note that this is NOT the same as the
 		// length of the underlying queue itself.
 		maps.count.set(this, 0);
+		// An internal collection of released objects that are being kept for reuse by subsequent acquisition requests.
+		maps.idle.set(this, []);
 		// An internal reference to keep track of the maximum size of the pool.
 		maps.max.set(this, Infinity);
-		// An internal priority queue for keeping track of acquisition requests.
-		maps.queue.set(this, new PriorityQueue({
-			comparator: queueComparator
-		}));
+		// An internal reference to the minimum number of objects the pool keeps alive.
+		maps.min.set(this, Math.max(parseInt(options.min, 10) || 0, 0));
+		// An internal collection of deferreds created by `.onIdle()` that are waiting for all tasks to finish.
+		maps.onIdle.set(this, []);
+		// An internal reference to the normalized static configuration of the pool.
+		maps.options.set(this, {
+			acquireTimeoutMs: options.acquireTimeoutMs,
+			leakDetectionMs: Number(options.leakDetectionMs),
+			headOfLineBlocking: options.headOfLineBlocking !== false,
+			idleTimeoutMs: Number(options.idleTimeoutMs),
+			maxLifetimeMs: Number(options.maxLifetimeMs),
+			maxPendingCreates: options.maxPendingCreates > 0 ? parseInt(options.maxPendingCreates, 10) : Infinity,
+			maxUses: parseInt(options.maxUses, 10),
+			maxWaiting: options.maxWaiting >= 0 ? parseInt(options.maxWaiting, 10) : Infinity,
+			overflow: options.overflow === overflowPolicies.DROP_OLDEST ||
+				options.overflow === overflowPolicies.DROP_LOWEST_PRIORITY ? options.overflow : overflowPolicies.REJECT,
+			retry: retryPolicy(options.retry),
+			validateOnAcquire: options.validateOnAcquire !== false,
+			validateOnRelease: Boolean(options.validateOnRelease)
+		});
+		// An internal count of the objects being created for acquisition requests. Objects being created to satisfy
+		// `min` are counted by `warming` instead.
+		maps.pending.set(this, 0);
+		// An internal collection of the spawned acquisition requests whose objects are still being created or validated.
+		maps.preparing.set(this, new Set());
+		// An internal collection of the objects that could not be destroyed, if the pool quarantines them.
+		maps.quarantine.set(this, options.quarantine ? new Set() : null);
+		// An internal queue for keeping track of acquisition requests, ordered by the configured scheduling discipline.
+		if (options.scheduler === schedulers.FAIR) {
+			maps.queue.set(this, new scheduler.FairScheduler(options.tenants));
+		}
+		else {
+			maps.queue.set(this, new scheduler.PriorityScheduler(options.scheduler === schedulers.LIFO ?
+				scheduler.lifo : scheduler.fifo));
+		}
+		// An internal deferred that is resolved once the pool has been warmed up to `min` objects.
+		maps.ready.set(this, new Deferred());
 		maps.releases.set(this, new WeakMap());
 		// An internal reference to keep track of the state of the pool.
 		maps.state.set(this, 'active');
+		// An internal count of the tasks started with `.run()` or `.map()` that have not yet finished.
+		maps.tasks.set(this, 0);
+		// An internal count of the units of `max` claimed by issued (or soon to be issued) acquisition requests.
+		maps.units.set(this, 0);
+		// An internal collection of the queued acquisition requests in the order they were queued.
+		maps.waiters.set(this, new Set());
+		// Internal bookkeeping for the background creation of objects to satisfy `min`.
+		maps.warming.set(this, {
+			count: 0,
+			failures: 0,
+			timer: null
+		});
+		// Internal counters and histograms backing `.stats()`.
+		maps.stats.set(this, {
+			acquisitions: 0,
+			createFailures: 0,
+			destroyFailures: 0,
+			holdTime: new Histogram(),
+			releases: 0,
+			waitTime: new Histogram()
+		});
 
 		// TODO: Enforce the function? type for the `options.create` parameter.
 		// A asynchronous/synchronous normalized version of the supplied create option.
@@ -187,114 +1751,437 @@ class Pool {
 		// TODO: Enforce the function? type for the `options.destroy` paramter.
 		// A asynchronous/synchronous normalized version of the supplied destroy option.
 		this._destroy = promisify(options.destroy || noop);
+		// A asynchronous/synchronous normalized version of the supplied validate option, if there is one.
+		this._validate = options.validate ? promisify(options.validate) : null;
 		// TODO: Enforce the inteter? type for the `options.max` parameter.
 		this.max = options.max;
+		this.rate = options.rate;
+
+		// An adaptive limit starts out from `max`, within its bounds.
+		if (options.adaptive) {
+			let adaptive = maps.adaptive.get(this);
+
+			this.max = Math.min(Math.max(this.max, adaptive.floor), adaptive.ceiling);
+			adaptive.limit = this.max;
+		}
+
+		// The evictor is only needed for time-based eviction. It is unreferenced so that it does not keep the process
+		// alive on its own.
+		if (options.idleTimeoutMs > 0 || options.maxLifetimeMs > 0) {
+			let self = this;
+			let interval = Number(options.evictionIntervalMs);
+
+			maps.evictor.set(this, setInterval(function() {
+				sweep(self);
+			}, interval > 0 ? interval : 1000));
+
+			maps.evictor.get(this).unref();
+		}
+
+		replenish(this);
 	}
 
 	/**
-	 * Acquires a new object from the pool asynchronously. The returned Promise will resolve when there is a free slot
-	 * available in the pool. However the promise will be rejected if any errors are encountered during object creation
+	 * Acquires an object from the pool asynchronously. The returned Promise will resolve when there is a free slot
+	 * available in the pool. Idle objects that were previously released are issued before any new objects are created.
+	 * However the promise will be rejected if any errors are encountered during object creation
 	 * (using the configured options.create function) or if an attempt is made to acquire a new pool object when the
 	 * pool has already been marked for draining.
 	 *
-	 * @param {Number} [priority=1] The priority with which to obtain a new element from the pool.
+	 * @param {Number|Object} [options] The priority with which to obtain a new element from the pool or a
+	 *     configuration object.
+	 * @param {Number} [options.priority=1] The priority with which to obtain a new element from the pool.
+	 * @param {Number} [options.timeout] The number of milliseconds the request may wait in queue before it is rejected
+	 *     with a `TimeoutError`. Overrides the `acquireTimeoutMs` option of the pool.
+	 * @param {AbortSignal} [options.signal] A signal that withdraws the request and rejects it with an `AbortError` if
+	 *     it fires before the request is fulfilled.
+	 * @param {Number} [options.weight=1] The number of units of `max` the request consumes until it is released, making
+	 *     the pool behave as a weighted semaphore. Requests heavier than `max` are rejected with a `WeightError`.
+	 * @param {String} [options.tenant='default'] The tenant the request is made on behalf of, when the pool uses the
+	 *     'fair' scheduler.
 	 * @returns {Promise} A promise that is resolved when the object is successfully created.
 	 */
-	acquire(priority = 1) {
-		// FIXME: Enforce the integer type for the `priority` parameter.
+	acquire(options = {}) {
+		if (options == null || typeof options !== 'object') {
+			options = {
+				priority: options
+			};
+		}
+
+		let priority = options.priority == null ? 1 : Number(options.priority);
+		let weight = options.weight == null ? 1 : Number(options.weight);
+		let timeout = parseInt(options.timeout == null ? maps.options.get(this).acquireTimeoutMs : options.timeout, 10);
 
 		let state = maps.state.get(this);
 
 		// Check to see if the pool is active. If not, we shouldn't be able to obtain a new slot.
 		if (state === states.INACTIVE) {
-			return Promise.reject(new Error('Pool is not active.'));
+			return Promise.reject(new errors.PoolInactiveError());
 		}
 		else if (state === states.DRAINING) {
-			return Promise.reject(new Error('Pool is draining.'));
+			return Promise.reject(new errors.PoolDrainingError());
+		}
+		else if (state === states.CLOSED) {
+			return Promise.reject(new errors.PoolClosedError());
+		}
+
+		if (circuit(this) === breakerStates.OPEN) {
+			return Promise.reject(new errors.CircuitOpenError());
+		}
+
+		// A request heavier than the whole pool could never be fulfilled.
+		if (weight > this.max) {
+			return Promise.reject(new errors.WeightError());
 		}
 
+		let signal = options.signal;
+
+		if (signal && signal.aborted) {
+			return Promise.reject(new errors.AbortError());
+		}
+
+		let self = this;
 		let deferred = new Deferred();
-		let queue = maps.queue.get(this);
+		let stack;
 
-		// Queue a new "deferred" with the specified priority. We want to queue
-		queue.queue({
+		// The stack trace of the acquisition site is only captured when it may be needed to track down a leak.
+		if (maps.options.get(this).leakDetectionMs > 0) {
+			stack = new Error('Acquired').stack.replace(/^Error: Acquired\n/, '');
+		}
+
+		let entry = {
 			deferred: deferred,
-			priority: isNaN(priority) ? 1 : priority
-		});
+			priority: isNaN(priority) ? 1 : priority,
+			queued: Date.now(),
+			stack: stack,
+			tenant: options.tenant,
+			weight: weight > 0 ? weight : 1
+		};
+
+		// The listener is only relevant until the acquisition request settles one way or another.
+		if (signal) {
+			let listener = function() {
+				abort(self, entry);
+			};
+
+			let detach = function() {
+				signal.removeEventListener('abort', listener);
+			};
+
+			signal.addEventListener('abort', listener);
+			deferred.promise.then(detach, detach);
+		}
 
-		// If the current count is less than the maximum size we can immediately dequeue and process the acquisition
-		// request.
-		if (this.count < this.max) {
-			spawn(this, queue.dequeue().deferred);
+		// The timer is cleared as soon as the acquisition request leaves the queue.
+		if (timeout > 0) {
+			entry.timer = setTimeout(function() {
+				cancel(self, entry);
+				deferred.reject(new errors.TimeoutError());
+			}, timeout);
 		}
 
+		// Queue a new "deferred" with the specified priority. We want to queue
+		maps.queue.get(this).enqueue(entry);
+		maps.waiters.get(this).add(entry);
+
+		emit(this, 'acquire', {
+			priority: entry.priority
+		});
+
+		// If the current count is less than the maximum size (and the rate limit permits it) we can immediately dequeue
+		// and process the acquisition request.
+		fill(this);
+		// Any acquisition request that is still waiting counts against `maxWaiting`.
+		shed(this, entry);
+
 		return deferred.promise;
 	}
 
 	/**
-	 * Marks the pool for draining. Once drained, no additional acquisition requests will succeed. Outstanding,
-	 * fulfilled requests will be allowed to exist and make use of `.release()`. The pool may be resumed with
-	 * `.resume()` at any time to re-enable acquisitions.
+	 * Describes the objects that are currently issued, for debugging purposes.
+	 *
+	 * @returns {Object[]} An array of objects with the issued `object`, when it was `issued`, how many milliseconds it has
+	 *     been held (`heldMs`) and the `stack` trace of where it was acquired, if leak detection is enabled.
+	 */
+	borrowed() {
+		let now = Date.now();
+
+		return Array.from(maps.borrowed.get(this), function(item) {
+			return {
+				heldMs: now - item[1].issued,
+				issued: item[1].issued,
+				object: item[0],
+				stack: item[1].stack
+			};
+		});
+	}
+
+	/**
+	 * Closes the pool for good. The pool is drained, accepting the same options as `.drain()`, and then every timer of
+	 * the pool is stopped and it moves to the `closed` state. Unlike a drained pool, a closed pool cannot be resumed.
+	 *
+	 * @param {Object} [options] A configuration object. Accepts all of the options of `.drain()`.
+	 * @returns {Promise} A promise that is resolved when the pool is closed. The pool remains draining if the promise
+	 *     is rejected because it did not drain within `options.timeout`, and it may be closed again later.
+	 */
+	close(options) {
+		let self = this;
+		let state = maps.state.get(this);
+
+		if (state === states.CLOSED) {
+			return Promise.resolve();
+		}
+
+		// Closing again while the pool is closing can still bring the deadline forward or force it.
+		if (maps.closing.get(this)) {
+			this.drain(options).catch(noop);
+
+			return maps.closing.get(this);
+		}
+
+		let promise = this.drain(options)
+			.then(function() {
+				let aging = maps.aging.get(self);
+				let rate = maps.rate.get(self);
+
+				if (aging) {
+					clearInterval(aging.timer);
+				}
+
+				if (rate) {
+					clearTimeout(rate.timer);
+					rate.timer = null;
+				}
+
+				clearInterval(maps.evictor.get(self));
+				clearTimeout(maps.warming.get(self).timer);
+				maps.warming.get(self).timer = null;
+
+				maps.closing.set(self, null);
+				maps.state.set(self, states.CLOSED);
+				emit(self, 'close');
+			}, function(err) {
+				maps.closing.set(self, null);
+
+				throw err;
+			});
+
+		maps.closing.set(this, promise);
+
+		return promise;
+	}
+
+	/**
+	 * An alias of `.close()`.
+	 *
+	 * @param {Object} [options] A configuration object. Accepts all of the options of `.drain()`.
+	 * @returns {Promise} A promise that is resolved when the pool is closed.
+	 */
+	destroy(options) {
+		return this.close(options);
+	}
+
+	/**
+	 * Marks the pool for draining. Once drained, no additional acquisition requests will succeed. Acquisition requests
+	 * that are still waiting are rejected with a `PoolClosedError`. Outstanding, fulfilled requests will be allowed to
+	 * exist and make use of `.release()`. Idle objects are destroyed immediately and objects released while draining
+	 * are destroyed rather than kept. The pool may be resumed with `.resume()` at any time to re-enable acquisitions.
 	 *
+	 * @param {Object} [options] A configuration object.
+	 * @param {Number} [options.timeout] The number of milliseconds to wait for outstanding objects to be released. Waits
+	 *     indefinitely if omitted.
+	 * @param {Boolean} [options.force=false] Destroy the outstanding objects once `timeout` elapses, or immediately if
+	 *     there is no timeout, instead of rejecting with a `TimeoutError`.
 	 * @returns {Promise} A Promise that is resolved when the pool is successfully drained (0 oustanding acquisitions).
 	 *     If the pool is resumed before it is completely drained, this returned promise will reject.
 	 */
-	drain() {
+	drain(options = {}) {
 		// This is a function evaluation with a more complex lookup, so we'll just save a little time here at the cost
 		// of a marginal amount of temporal memory.
 		let state = maps.state.get(this);
 
-		// If the pool is currently draining, then we should just return the existing transition promise.
-		if (state === states.DRAINING) {
-			return maps.transition.get(this).promise;
-		}
-
-		// If the pool is currently inactive, then we should just return a resolved promise immediately.
-		if (state === states.INACTIVE) {
+		// If the pool is currently inactive or closed, then we should just return a resolved promise immediately.
+		if (state === states.INACTIVE || state === states.CLOSED) {
 			return Promise.resolve();
 		}
 
-		if (state === states.ACTIVE) {
+		if (state === states.ACTIVE || state === states.PAUSED) {
+			let self = this;
+
+			// Waiting acquisition requests could never be fulfilled, so they are rejected rather than left hanging.
+			refuse(this, errors.PoolClosedError);
+
 			// If our `count` is currently zero (e.g. there are no outstanding, un-returned acquisitions requests) then we
 			// can return a resolved promise immediately to cut out unnecessary processing.
 			if (this.count === 0) {
 				maps.state.set(this, states.INACTIVE);
+				emit(this, 'drain');
 
-				return Promise.resolve();
+				return destroyIdle(this)
+					.then(function() {
+						emit(self, 'drained');
+					});
 			}
 
-			let self = this;
 			let deferred = new Deferred();
+			let destruction = destroyIdle(this);
 
 			deferred.promise = deferred.promise
+				.then(function() {
+					return destruction;
+				})
 				.then(function() {
 					maps.transition.delete(self);
 					maps.state.set(self, states.INACTIVE);
+					emit(self, 'drained');
 				});
 
 			maps.transition.set(this, deferred);
 			maps.state.set(this, states.DRAINING);
+			emit(this, 'drain');
+		}
+		else if (state !== states.DRAINING) {
+			return Promise.reject(new errors.InvalidStateError());
+		}
+
+		// If the pool is already draining, the existing transition promise is returned, subject to any new deadline.
+		return deadline(this, options);
+	}
+
+	/**
+	 * Runs a function for every item of a synchronous or asynchronous iterable with the concurrency bounded by the pool.
+	 * Items are pulled from the iterable lazily, only as capacity becomes available, so arbitrarily long (or infinite)
+	 * sources can be streamed without being held in memory.
+	 *
+	 * The returned object can be awaited directly, resolving with an array of the results, or consumed with
+	 * `for await...of` to receive the results one at a time. Results are produced in the order of the source items
+	 * unless `options.ordered` is `false`. The first error encountered stops any further items from being started. No
+	 * work is started until the returned object is first awaited or iterated.
+	 *
+	 * @param {Object} iterable The items to process.
+	 * @param {Function} fn A synchronous or asynchronous function that will be passed each item and the object acquired
+	 *     from the pool for it.
+	 * @param {Object} [options] A configuration object. Accepts all of the options of `.run()`.
+	 * @param {Boolean} [options.ordered=true] Produce results in source order rather than completion order.
+	 * @param {Number} [options.concurrency] The maximum number of items in flight. Defaults to the `max` of the pool.
+	 * @returns {Object} A thenable, async iterable object producing the results.
+	 */
+	map(iterable, fn, options = {}) {
+		let self = this;
+		let concurrency = parseInt(options.concurrency, 10);
+
+		return new Mapping(iterable, fn, {
+			limit: function() {
+				return concurrency > 0 ? concurrency : self.max;
+			},
+			ordered: options.ordered,
+			run: function(task) {
+				return self.run(task, options);
+			},
+			track: function(promise) {
+				track(self, promise);
+			}
+		});
+	}
+
+	/**
+	 * Waits for every task started with `.run()` or `.map()` to finish.
+	 *
+	 * @returns {Promise} A promise that is resolved when there are no queued or running tasks.
+	 */
+	onIdle() {
+		if (maps.tasks.get(this) === 0) {
+			return Promise.resolve();
+		}
+
+		let deferred = new Deferred();
+
+		maps.onIdle.get(this).push(deferred);
+
+		return deferred.promise;
+	}
+
+	/**
+	 * Pauses the pool. Acquisition requests are still accepted and queued, subject to their timeouts and `maxWaiting`,
+	 * but nothing is issued until the pool is resumed with `.resume()`. Objects that are released in the meantime are
+	 * kept idle as usual, and objects that were already being created are issued once they are ready.
+	 *
+	 * @returns {Promise} A promise that is resolved when the pool is paused. Only an active pool can be paused.
+	 */
+	pause() {
+		let state = maps.state.get(this);
+
+		if (state === states.PAUSED) {
+			return Promise.resolve();
+		}
+
+		if (state === states.ACTIVE) {
+			maps.state.set(this, states.PAUSED);
+			emit(this, 'pause');
 
-			return deferred.promise;
+			return Promise.resolve();
+		}
+
+		if (state === states.CLOSED) {
+			return Promise.reject(new errors.PoolClosedError());
 		}
 
-		return Promise.reject(new Error('Invalid state.'));
+		return Promise.reject(new errors.InvalidStateError());
+	}
+
+	/**
+	 * Renders the current `.stats()` snapshot in the Prometheus text exposition format.
+	 *
+	 * @param {Object} [options] A configuration object.
+	 * @param {String} [options.prefix='poolq'] The prefix prepended to every metric name.
+	 * @param {Object} [options.labels] Labels to attach to every sample (e.g. `{ pool: 'db' }`).
+	 * @returns {String} The metrics in the Prometheus text exposition format.
+	 */
+	prometheus(options) {
+		return prometheus(this.stats(), options);
+	}
+
+	/**
+	 * Lists the objects that could not be destroyed and are being held in quarantine. Always empty unless the pool was
+	 * created with the `quarantine` option.
+	 *
+	 * @returns {Object[]}
+	 */
+	quarantined() {
+		let quarantine = maps.quarantine.get(this);
+
+		return quarantine ? Array.from(quarantine) : [];
+	}
+
+	/**
+	 * Waits for the initial warm-up of the pool to complete.
+	 *
+	 * @returns {Promise} A promise that is resolved once the pool has created `min` objects (or immediately if `min` is
+	 *     0). Failed creations are retried in the background, so the promise remains pending until they succeed.
+	 */
+	ready() {
+		return maps.ready.get(this).promise;
 	}
 
 	/**
-	 * Releases an object obtained from the pool asynchronously. The returned Promise will resolve when the destroy
-	 * function succeeds (or immediately if no destroy function was specified). However the promise will reject if an
-	 * error is encountered during destruction or an attempt is made to release an object that was not obtained from
-	 * the pool in the first place.
+	 * Releases an object obtained from the pool asynchronously. Released objects are kept idle for reuse by subsequent
+	 * acquisition requests and the returned Promise resolves immediately. The object is instead destroyed if it is
+	 * explicitly requested, if the pool is not active, if it has reached `maxLifetimeMs` or `maxUses`, or if keeping it
+	 * would exceed `max`; in that case the returned
+	 * Promise will resolve when the destroy function succeeds (or immediately if no destroy function was specified).
+	 * However the promise will reject if an error is encountered during destruction or an attempt is made to release
+	 * an object that was not obtained from the pool in the first place.
 	 *
 	 * @param {Object} obj The object to release back to the pool.
-	 * @returns {Promise} A Promise that is resolved when the object is successfully destroyed.
+	 * @param {Object} [options] A configuration object.
+	 * @param {Boolean} [options.destroy=false] Destroy the object instead of keeping it idle for reuse.
+	 * @param {*} [options.error] A truthy value (such as the error itself) if the work done with the object failed.
+	 *     Errors are reported to the adaptive limit of the pool, if it has one.
+	 * @returns {Promise} A Promise that is resolved when the object is successfully released.
 	 */
-	release(obj) {
+	release(obj, options = {}) {
 		if (maps.origin.get(obj) !== this) {
-			let err = new Error('Object was not obtained from this pool.');
-
-			return Promise.reject(err);
+			return Promise.reject(new errors.ForeignObjectError());
 		}
 
 		let releases = maps.releases.get(this);
@@ -304,30 +2191,60 @@ class Pool {
 		}
 
 		let self = this;
+		let stats = maps.stats.get(this);
+		let promise;
 
-		let promise = this._destroy(obj)
-			.then(function() {
-				let count = maps.count.get(self);
+		let borrowed = maps.borrowed.get(this);
+
+		// Objects that were never actually issued (e.g. because the acquisition request was aborted) were not held.
+		if (borrowed.has(obj)) {
+			let loan = borrowed.get(obj);
+
+			let holdTime = Date.now() - loan.issued;
 
-				count--;
-				maps.count.set(self, count);
+			stats.holdTime.record(holdTime);
+			adapt(this, holdTime, Boolean(options.error));
+			clearTimeout(loan.timer);
+			borrowed.delete(obj);
+		}
+
+		stats.releases++;
 
-				let state = maps.state.get(self);
+		if (options.destroy) {
+			promise = discard(this, obj);
+		}
+		else if (this._validate && maps.options.get(this).validateOnRelease) {
+			promise = validate(this, obj)
+				.then(function(valid) {
+					if (valid && retainable(self, obj)) {
+						retain(self, obj);
 
-				if (state === states.DRAINING) {
-					if (count === 0) {
-						maps.transition.get(self).resolve();
-						maps.transition.delete(self);
+						return;
 					}
-				}
-				else if (state === states.ACTIVE) {
-					// It is likely that this fill will only resolve one acquisition request, but calling spawn
-					// directly would potentially leave slots unclaimed.
-					fill(self);
-				}
 
-				return Promise.resolve();
-			});
+					return discard(self, obj);
+				});
+		}
+		else if (retainable(this, obj)) {
+			promise = Promise.resolve();
+
+			// Pending acquisition requests can be fulfilled with the object that is being retained. That must happen after
+			// the release is cached so that reissuing the object clears the cache entry.
+			releases.set(obj, promise);
+			retain(this, obj);
+
+			return promise;
+		}
+		else {
+			promise = discard(this, obj);
+		}
+
+		// The object has left the pool even if destroying it failed, so only the first release reports the failure.
+		promise = promise.catch(function(err) {
+			releases.set(obj, Promise.resolve());
+
+			throw err;
+		});
 
 		releases.set(obj, promise);
 
@@ -336,7 +2253,8 @@ class Pool {
 
 	/**
 	 * Resumes the pool allowing for continued acquisition requests. The pool may be resumed at any time, if it's
-	 * already active this method is essentially a no-op. If the pool is currently draining, the draining transition is
+	 * already active this method is essentially a no-op. If the pool is currently paused, the acquisition requests that
+	 * were queued in the meantime are fulfilled. If the pool is currently draining, the draining transition is
 	 * cancelled with an appropriate rejection and acquisition requests will be immediately fulfilled.
 	 *
 	 * @returns {Promise} A promise that is resolved when the pool is ready to accept acquisition requests.
@@ -346,16 +2264,26 @@ class Pool {
 		// of a marginal amount of temporal memory.
 		let state = maps.state.get(this);
 
+		// A closed pool, or one that is being closed, stays that way. That has to be checked first because a closing pool
+		// may already be inactive while its idle objects are being destroyed.
+		if (state === states.CLOSED || maps.closing.get(this)) {
+			return Promise.reject(new errors.PoolClosedError());
+		}
+
 		// If the pool is currently active, then we should just return a resolved promise immediately.
 		if (state === states.ACTIVE) {
 			return Promise.resolve();
 		}
 
-		// If the pool is currently inactive, then we can immediately set it to active and fulfill acquisition requests
-		// up to the stipulated maximum. We shouldn't need to wait for all requests to be fulfilled for the promise to
-		// be resolved.
-		if (state === states.INACTIVE) {
+		// If the pool is currently inactive or paused, then we can immediately set it to active and fulfill acquisition
+		// requests up to the stipulated maximum. We shouldn't need to wait for all requests to be fulfilled for the
+		// promise to be resolved.
+		if (state === states.INACTIVE || state === states.PAUSED) {
 			maps.state.set(this, states.ACTIVE);
+			emit(this, 'resume');
+
+			fill(this);
+			replenish(this);
 
 			return Promise.resolve();
 		}
@@ -363,21 +2291,155 @@ class Pool {
 		if (state === states.DRAINING) {
 			let transition = maps.transition.get(this);
 
-			transition.reject(new Error('Pool resumed before completely draining.'));
+			transition.reject(new errors.DrainInterruptedError());
 
 			maps.transition.delete(this);
 			maps.state.set(this, states.ACTIVE);
+			emit(this, 'resume');
 
 			fill(this);
+			replenish(this);
 
 			return Promise.resolve();
 		}
 
-		return Promise.reject(new Error('Invalid state.'));
+		return Promise.reject(new errors.InvalidStateError());
+	}
+
+	/**
+	 * Runs a task with an object acquired from the pool, releasing the object once the task has finished. This is
+	 * equivalent to `.use()` but the task is counted by `.onIdle()`.
+	 *
+	 * @param {Function} fn A synchronous or asynchronous function that will be passed the acquired object.
+	 * @param {Object} [options] A configuration object. Accepts all of the options of `.use()`.
+	 * @returns {Promise} A promise that is resolved with the result of `fn` or rejected with its error.
+	 */
+	run(fn, options) {
+		let promise = this.use(fn, options);
+
+		track(this, promise);
+
+		return promise;
+	}
+
+	/**
+	 * Produces a snapshot of the current gauges, the cumulative counters and the distributions of how long acquisition
+	 * requests waited to be fulfilled (`waitTime`) and how long issued objects were held before being released
+	 * (`holdTime`). Durations are in milliseconds.
+	 *
+	 * @returns {Object}
+	 */
+	stats() {
+		let stats = maps.stats.get(this);
+
+		return {
+			state: this.state,
+			count: this.count,
+			borrowed: this.borrowedCount,
+			pending: this.pending,
+			idle: this.idle,
+			max: this.max,
+			waiting: this.waiting,
+			quarantined: this.quarantined().length,
+			acquisitions: stats.acquisitions,
+			releases: stats.releases,
+			createFailures: stats.createFailures,
+			destroyFailures: stats.destroyFailures,
+			waitTime: stats.waitTime.snapshot(),
+			holdTime: stats.holdTime.snapshot()
+		};
+	}
+
+	/**
+	 * Acquires an object from the pool, passes it to the supplied function and releases it once the function has
+	 * finished, regardless of whether it succeeded. This guarantees that an exception thrown while working with the
+	 * object cannot leak the slot.
+	 *
+	 * @param {Function} fn A synchronous or asynchronous function that will be passed the acquired object.
+	 * @param {Object} [options] A configuration object. Accepts all of the options of `.acquire()`.
+	 * @param {Boolean} [options.destroyOnError=false] Destroy the object instead of keeping it for reuse if `fn` fails.
+	 * @returns {Promise} A promise that is resolved with the result of `fn` or rejected with its error. If `fn` succeeds
+	 *     but the object cannot be released, the promise is rejected with the release error instead.
+	 */
+	use(fn, options = {}) {
+		let self = this;
+
+		if (options == null || typeof options !== 'object') {
+			options = {
+				priority: options
+			};
+		}
+
+		return this.acquire(options)
+			.then(function(obj) {
+				return promisify(fn)(obj)
+					.then(function(result) {
+						return self.release(obj)
+							.then(function() {
+								return result;
+							});
+					}, function(err) {
+						let release = self.release(obj, {
+							destroy: Boolean(options.destroyOnError),
+							error: err || true
+						});
+
+						// The original error takes precedence over any error encountered while releasing the object.
+						return release
+							.then(function() {
+								throw err;
+							}, function() {
+								throw err;
+							});
+					});
+			});
+	}
+
+	/**
+	 * Describes the acquisition requests that are currently waiting, in the order they were requested.
+	 *
+	 * @returns {Object[]} An array of objects with the requested `priority`, the `effectivePriority` the request is
+	 *     currently scheduled with (which differs when priority aging is enabled), the `tenant`, the `weight` and the
+	 *     number of milliseconds it has been waiting (`waitingMs`).
+	 */
+	waiters() {
+		let now = Date.now();
+
+		return Array.from(maps.waiters.get(this), function(entry) {
+			return {
+				effectivePriority: entry.effective,
+				priority: entry.priority,
+				tenant: entry.tenant,
+				waitingMs: now - entry.queued,
+				weight: entry.weight
+			};
+		});
+	}
+
+	/**
+	 * The number of objects that are currently issued. Unlike `count` it excludes requests whose object is still being
+	 * created or validated, and unlike `.borrowed()` it is cheap enough to be read as a gauge.
+	 *
+	 * @readonly
+	 * @returns {Number}
+	 */
+	get borrowedCount() {
+		return maps.borrowed.get(this).size;
+	}
+
+	/**
+	 * The current state of the circuit breaker around element creation.
+	 *
+	 * @readonly
+	 * @returns {String|null} One of `Pool.breakerStates`, or `null` if the breaker is not enabled.
+	 */
+	get breakerState() {
+		return circuit(this);
 	}
 
 	/**
-	 * The number of outstanding, fulfilled acquisition requests.
+	 * The number of outstanding, fulfilled acquisition requests. This includes requests whose object is still being
+	 * created or validated, so it is the number of objects issued (see `borrowedCount`) plus those on their way.
 	 *
 	 * @readonly
 	 * @returns {Number}
@@ -397,7 +2459,18 @@ class Pool {
 	}
 
 	/**
-	 * The maximum simultaneously fulfilled, outstanding acquisition requests.
+	 * The number of released objects that are being kept for reuse.
+	 *
+	 * @readonly
+	 * @returns {Number}
+	 */
+	get idle() {
+		return maps.idle.get(this).length;
+	}
+
+	/**
+	 * The maximum simultaneously fulfilled, outstanding acquisition requests. Lowering it rejects any waiting acquisition
+	 * requests that are heavier than the new maximum with a `WeightError`.
 	 *
 	 * @returns {Number}
 	 */
@@ -411,13 +2484,133 @@ class Pool {
 	 * @param {*} n The desired `max` value.
 	 */
 	set max(n) {
+		let self = this;
+		let previous = maps.max.get(this);
 		let val = parseInt(n, 10);
 
 		maps.max.set(this, isNaN(val) ? 1 : Math.max(val, 1));
 
+		emit(this, 'max', {
+			max: this.max,
+			previous: previous
+		});
+
+		// Waiting acquisition requests that are now heavier than the whole pool could never be fulfilled, and with
+		// head-of-line blocking they would hold up every request behind them too.
+		Array.from(maps.waiters.get(this)).forEach(function(entry) {
+			if (entry.weight > self.max) {
+				entry.cancelled = true;
+				cancel(self, entry);
+				entry.deferred.reject(new errors.WeightError());
+			}
+		});
+
 		if (maps.state.get(this) === states.ACTIVE) {
 			// When the max size is changed after instantiation it may be possible to fill remaining empty slots.
 			fill(this);
+			replenish(this);
+		}
+	}
+
+	/**
+	 * The minimum number of objects, idle or issued, that the pool keeps alive.
+	 *
+	 * @readonly
+	 * @returns {Number}
+	 */
+	get min() {
+		return maps.min.get(this);
+	}
+
+	/**
+	 * A flag indicating whether or not the pool is currently paused.
+	 *
+	 * @readonly
+	 * @returns {Boolean}
+	 */
+	get paused() {
+		return maps.state.get(this) === states.PAUSED;
+	}
+
+	/**
+	 * The current number of objects being created, both for acquisition requests and to satisfy `min`. Limited by the
+	 * `maxPendingCreates` option.
+	 *
+	 * @readonly
+	 * @returns {Number}
+	 */
+	get pending() {
+		return maps.pending.get(this) + maps.warming.get(this).count;
+	}
+
+	/**
+	 * The rate limit applied to acquisitions in addition to `max`, or `null` if acquisitions are only limited by
+	 * concurrency.
+	 *
+	 * @returns {Object|null} An object with `limit`, `intervalMs` and `burst` properties.
+	 */
+	get rate() {
+		let rate = maps.rate.get(this);
+
+		if (!rate) {
+			return null;
+		}
+
+		return {
+			burst: rate.burst,
+			intervalMs: rate.intervalMs,
+			limit: rate.limit
+		};
+	}
+
+	/**
+	 * Sets the `rate` property. At most `limit` acquisition requests are fulfilled per `intervalMs` milliseconds, with
+	 * up to `burst` fulfilled at once after a quiet period. `intervalMs` defaults to `1000` and `burst` defaults to
+	 * `limit`. A missing or non-positive `limit` removes the rate limit entirely. Tokens that are already available are
+	 * kept, up to the new `burst`.
+	 *
+	 * @param {Object|null} options The desired rate limit.
+	 * @param {Number} options.limit The number of acquisition requests permitted per interval.
+	 * @param {Number} [options.intervalMs=1000] The length of the interval in milliseconds.
+	 * @param {Number} [options.burst] The maximum number of acquisition requests that can be fulfilled at once.
+	 */
+	set rate(options) {
+		let previous = this.rate;
+		let current = maps.rate.get(this);
+		let limit = parseInt(options && options.limit, 10);
+
+		if (current) {
+			clearTimeout(current.timer);
+		}
+
+		if (isNaN(limit) || limit < 1) {
+			maps.rate.delete(this);
+		}
+		else {
+			let intervalMs = Number(options.intervalMs);
+			let burst = parseInt(options.burst, 10);
+
+			intervalMs = intervalMs > 0 ? intervalMs : 1000;
+			burst = burst > 0 ? burst : limit;
+
+			maps.rate.set(this, {
+				burst: burst,
+				intervalMs: intervalMs,
+				limit: limit,
+				timer: null,
+				tokens: current ? Math.min(current.tokens, burst) : burst,
+				updated: current ? current.updated : Date.now()
+			});
+		}
+
+		emit(this, 'rate', {
+			previous: previous,
+			rate: this.rate
+		});
+
+		if (maps.state.get(this) === states.ACTIVE) {
+			// Changing the rate limit may permit pending acquisition requests to be fulfilled immediately.
+			fill(this);
 		}
 	}
 
@@ -430,6 +2623,17 @@ class Pool {
 		return maps.state.get(this);
 	}
 
+	/**
+	 * The number of units of `max` claimed by the issued work slots. Each acquisition request claims its `weight`, so
+	 * this equals `count` unless weighted acquisition requests are used.
+	 *
+	 * @readonly
+	 * @returns {Number}
+	 */
+	get units() {
+		return maps.units.get(this);
+	}
+
 	/**
 	 * The number of pending acquisition requests (e.g. the requests in queue that exceed the maximum simultaneously
 	 * allowed by `max`).
@@ -443,6 +2647,26 @@ class Pool {
 
 
 Pool.states = states;
+Pool.breakerStates = breakerStates;
+Pool.overflowPolicies = overflowPolicies;
+Pool.schedulers = schedulers;
+Pool.limitAlgorithms = limitAlgorithms;
+Pool.AbortError = errors.AbortError;
+Pool.CircuitOpenError = errors.CircuitOpenError;
+Pool.CreateError = errors.CreateError;
+Pool.DestroyError = errors.DestroyError;
+Pool.DrainInterruptedError = errors.DrainInterruptedError;
+Pool.ForeignObjectError = errors.ForeignObjectError;
+Pool.InvalidStateError = errors.InvalidStateError;
+Pool.PoolClosedError = errors.PoolClosedError;
+Pool.PoolDrainingError = errors.PoolDrainingError;
+Pool.PoolError = errors.PoolError;
+Pool.PoolInactiveError = errors.PoolInactiveError;
+Pool.QueueFullError = errors.QueueFullError;
+Pool.RetryError = errors.RetryError;
+Pool.ShedError = errors.ShedError;
+Pool.TimeoutError = errors.TimeoutError;
+Pool.WeightError = errors.WeightError;
 
 
 module.exports = Pool;
@@ -0,0 +1,110 @@
+'use strict';
+
+
+/**
+ * Formats a set of labels in the Prometheus exposition format, escaping label values as required.
+ *
+ * @private
+ * @param {Object} labels A mapping of label names to values.
+ * @returns {String} The formatted labels (e.g. `{pool="db"}`) or an empty string if there are none.
+ */
+function formatLabels(labels) {
+	let pairs = Object.keys(labels).map(function(name) {
+		let value = String(labels[name])
+			.replace(/\\/g, '\\\\')
+			.replace(/\n/g, '\\n')
+			.replace(/"/g, '\\"');
+
+		return name + '="' + value + '"';
+	});
+
+	return pairs.length > 0 ? '{' + pairs.join(',') + '}' : '';
+}
+
+
+/**
+ * Formats a number in the Prometheus exposition format.
+ *
+ * @private
+ * @param {Number} n The number to format.
+ * @returns {String}
+ */
+function formatValue(n) {
+	if (n === Infinity) {
+		return '+Inf';
+	}
+
+	return String(n);
+}
+
+
+/**
+ * Renders a `Pool#stats()` snapshot in the Prometheus text exposition format. Durations are recorded in milliseconds
+ * internally but exported in seconds, per Prometheus naming conventions.
+ *
+ * @param {Object} stats A snapshot obtained from `Pool#stats()`.
+ * @param {Object} [options] A configuration object.
+ * @param {String} [options.prefix='poolq'] The prefix prepended to every metric name.
+ * @param {Object} [options.labels] Labels to attach to every sample (e.g. `{ pool: 'db' }`).
+ * @returns {String} The metrics in the Prometheus text exposition format.
+ */
+function prometheus(stats, options = {}) {
+	let prefix = options.prefix || 'poolq';
+	let labels = options.labels || {};
+	let lines = [];
+
+	function metric(name, type, help, samples) {
+		lines.push('# HELP ' + prefix + '_' + name + ' ' + help);
+		lines.push('# TYPE ' + prefix + '_' + name + ' ' + type);
+
+		samples.forEach(function(sample) {
+			let sampleLabels = formatLabels(Object.assign({}, labels, sample.labels));
+
+			lines.push(prefix + '_' + name + (sample.suffix || '') + sampleLabels + ' ' + formatValue(sample.value));
+		});
+	}
+
+	function histogram(name, help, snapshot) {
+		let samples = snapshot.buckets.map(function(bucket) {
+			return {
+				labels: {
+					le: formatValue(bucket.le === Infinity ? Infinity : bucket.le / 1000)
+				},
+				suffix: '_bucket',
+				value: bucket.count
+			};
+		});
+
+		samples.push({
+			suffix: '_sum',
+			value: snapshot.sum / 1000
+		});
+
+		samples.push({
+			suffix: '_count',
+			value: snapshot.count
+		});
+
+		metric(name, 'histogram', help, samples);
+	}
+
+	metric('count', 'gauge', 'Outstanding, issued acquisition requests.', [{ value: stats.count }]);
+	metric('borrowed', 'gauge', 'Objects currently issued to acquisition requests.', [{ value: stats.borrowed }]);
+	metric('pending', 'gauge', 'Objects currently being created.', [{ value: stats.pending }]);
+	metric('idle', 'gauge', 'Released objects kept for reuse.', [{ value: stats.idle }]);
+	metric('waiting', 'gauge', 'Pending acquisition requests.', [{ value: stats.waiting }]);
+	metric('quarantined', 'gauge', 'Objects that could not be destroyed.', [{ value: stats.quarantined }]);
+	metric('max', 'gauge', 'Maximum concurrent acquisition requests.', [{ value: stats.max }]);
+	metric('acquisitions_total', 'counter', 'Fulfilled acquisition requests.', [{ value: stats.acquisitions }]);
+	metric('releases_total', 'counter', 'Objects released back to the pool.', [{ value: stats.releases }]);
+	metric('create_failures_total', 'counter', 'Failed object creations.', [{ value: stats.createFailures }]);
+	metric('destroy_failures_total', 'counter', 'Failed object destructions.', [{ value: stats.destroyFailures }]);
+
+	histogram('wait_seconds', 'Time acquisition requests spent waiting to be fulfilled.', stats.waitTime);
+	histogram('hold_seconds', 'Time issued objects were held before being released.', stats.holdTime);
+
+	return lines.join('\n') + '\n';
+}
+
+
+module.exports = prometheus;
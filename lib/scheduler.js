@@ -0,0 +1,337 @@
+'use strict';
+
+const PriorityQueue = require('js-priority-queue');
+
+
+// The name of the tenant that acquisition requests belong to when they do not name one.
+const DEFAULT_TENANT = 'default';
+
+// A predicate that accepts any queue object.
+const any = function() {
+	return true;
+};
+
+// The source of the `sequence` numbers stamped on queued entries. Sequence numbers only need to increase, so a single
+// counter is shared by every scheduler, which also keeps the entries of different tenants comparable.
+let sequence = 0;
+
+
+/**
+ * Orders queue objects by descending effective priority, serving the earliest queued first within a priority level.
+ *
+ * @private
+ * @param {Object} a A primary queue object to compare.
+ * @param {Object} b A secondary queue object to compare.
+ * @returns {Number} The relative priority indicating to the PriorityQueue the insertion order.
+ */
+function fifo(a, b) {
+	return b.effective - a.effective || a.sequence - b.sequence;
+}
+
+
+/**
+ * Orders queue objects by descending effective priority, serving the most recently queued first within a priority
+ * level.
+ *
+ * @private
+ * @param {Object} a A primary queue object to compare.
+ * @param {Object} b A secondary queue object to compare.
+ * @returns {Number} The relative priority indicating to the PriorityQueue the insertion order.
+ */
+function lifo(a, b) {
+	return b.effective - a.effective || b.sequence - a.sequence;
+}
+
+
+/**
+ * A queue of acquisition requests ordered by a comparator. The underlying PriorityQueue does not support arbitrary
+ * removal, so cancelled entries are flagged and skipped when they reach the front of the queue. The queue is rebuilt
+ * once cancelled entries make up the majority of it so that abandoned requests cannot accumulate indefinitely.
+ *
+ * Every queued entry is stamped with an `effective` priority, initially its requested `priority`, and an increasing
+ * `sequence` number, which the comparator uses to break ties between equal priorities deterministically.
+ *
+ * @private
+ * @class
+ * @param {Function} [comparator] The comparator stipulating the order that acquisition requests will be fulfilled.
+ *     Defaults to strict priority, first in first out within a priority level.
+ */
+class PriorityScheduler {
+	constructor(comparator = fifo) {
+		this.cancelled = 0;
+		this.compare = comparator;
+		this.queue = new PriorityQueue({
+			comparator: comparator
+		});
+	}
+
+	/**
+	 * The number of queued entries that have not been cancelled.
+	 *
+	 * @readonly
+	 * @returns {Number}
+	 */
+	get length() {
+		return this.queue.length - this.cancelled;
+	}
+
+	/**
+	 * Withdraws a queued entry.
+	 *
+	 * @param {Object} entry The queue object to withdraw.
+	 */
+	cancel(entry) {
+		entry.cancelled = true;
+		this.cancelled++;
+
+		if (this.cancelled * 2 >= this.queue.length) {
+			this.rebuild();
+		}
+	}
+
+	/**
+	 * Removes and returns the next entry that should be fulfilled, skipping any that have been cancelled.
+	 *
+	 * @param {Object} [entry] A particular queue object to remove instead, as returned by `peek()`.
+	 * @returns {Object} The removed queue object.
+	 */
+	dequeue(entry) {
+		return this.search(entry ? function(item) {
+			return item === entry;
+		} : any, true);
+	}
+
+	/**
+	 * Adds an entry to the queue. An entry that is put back after having been dequeued keeps its place, along with any
+	 * effective priority it has aged to.
+	 *
+	 * @param {Object} entry The queue object to add.
+	 */
+	enqueue(entry) {
+		if (entry.sequence === undefined) {
+			entry.effective = entry.priority;
+			entry.sequence = sequence++;
+		}
+
+		this.queue.queue(entry);
+	}
+
+	/**
+	 * Finds the first entry, in the order they would be fulfilled, that satisfies a predicate without removing it.
+	 *
+	 * @param {Function} [predicate] A function that is passed each entry and returns whether it is acceptable.
+	 * @returns {Object|null} The queue object, or `null` if there is no acceptable entry.
+	 */
+	peek(predicate = any) {
+		return this.search(predicate, false);
+	}
+
+	/**
+	 * Rebuilds the queue without any cancelled entries, optionally updating the remaining entries first. This is the
+	 * only safe way to change the effective priority of queued entries.
+	 *
+	 * @param {Function} [fn] A function that will be passed each remaining entry before it is queued again.
+	 */
+	rebuild(fn) {
+		let entries = [];
+
+		while (this.queue.length > 0) {
+			let item = this.queue.dequeue();
+
+			if (!item.cancelled) {
+				entries.push(item);
+			}
+		}
+
+		if (fn) {
+			entries.forEach(fn);
+		}
+
+		this.cancelled = 0;
+		this.queue = new PriorityQueue({
+			comparator: this.compare,
+			initialValues: entries
+		});
+	}
+
+	/**
+	 * Walks the queue in the order the entries would be fulfilled until one satisfies a predicate. Cancelled entries
+	 * that are encountered are discarded and every other entry that was walked past is queued again, keeping its
+	 * place. Searching is therefore cheap when the first entry is acceptable, which is by far the most common case.
+	 *
+	 * @param {Function} predicate A function that is passed each entry and returns whether it is acceptable.
+	 * @param {Boolean} remove Whether to remove the acceptable entry from the queue.
+	 * @returns {Object|null} The queue object, or `null` if there is no acceptable entry.
+	 */
+	search(predicate, remove) {
+		let found = null;
+		let skipped = [];
+
+		while (this.queue.length > 0) {
+			let item = this.queue.dequeue();
+
+			if (item.cancelled) {
+				this.cancelled--;
+			}
+			else if (predicate(item)) {
+				found = item;
+
+				break;
+			}
+			else {
+				skipped.push(item);
+			}
+		}
+
+		if (found && !remove) {
+			skipped.push(found);
+		}
+
+		for (let i = 0; i < skipped.length; i++) {
+			this.queue.queue(skipped[i]);
+		}
+
+		return found;
+	}
+}
+
+
+/**
+ * A queue of acquisition requests that shares service between named tenants in proportion to their weights, so that
+ * one tenant flooding the pool with requests cannot starve the others. Each tenant has its own strict priority queue
+ * and the tenants are served by stride scheduling: every time a tenant is served its virtual time advances by the
+ * inverse of its weight, and the tenant with the lowest waiting virtual time is served next. A tenant that starts
+ * waiting again after its queue emptied is brought forward to the current virtual time, so idle periods cannot be
+ * banked. A record of every tenant is kept, so tenant names should be drawn from a bounded set.
+ *
+ * @private
+ * @class
+ * @param {Object} [weights] The relative weight of each tenant, keyed by name. Tenants default to a weight of 1.
+ */
+class FairScheduler {
+	constructor(weights = {}) {
+		this.compare = fifo;
+		this.length = 0;
+		this.tenants = new Map();
+		this.time = 0;
+		this.weights = weights;
+	}
+
+	/**
+	 * Withdraws a queued entry.
+	 *
+	 * @param {Object} entry The queue object to withdraw.
+	 */
+	cancel(entry) {
+		let tenant = this.tenants.get(entry.tenant);
+
+		tenant.queue.cancel(entry);
+		this.length--;
+	}
+
+	/**
+	 * Removes and returns the next entry that should be fulfilled, taken from the tenant with the lowest virtual time.
+	 *
+	 * @param {Object} [entry] A particular queue object to remove instead, as returned by `peek()`.
+	 * @returns {Object} The removed queue object.
+	 */
+	dequeue(entry) {
+		let waiting = this.order();
+		let tenant = entry ? this.tenants.get(entry.tenant) : waiting[0];
+
+		// The virtual time of the queue is that of the tenant that is furthest behind.
+		this.time = waiting[0].time;
+		this.length--;
+		tenant.time += 1 / tenant.weight;
+
+		return tenant.queue.dequeue(entry);
+	}
+
+	/**
+	 * Adds an entry to the queue of its tenant.
+	 *
+	 * @param {Object} entry The queue object to add, with an optional `tenant` name.
+	 */
+	enqueue(entry) {
+		let name = entry.tenant == null ? DEFAULT_TENANT : entry.tenant;
+		let tenant = this.tenants.get(name);
+
+		if (!tenant) {
+			let weight = Number(this.weights[name]);
+
+			tenant = {
+				queue: new PriorityScheduler(),
+				time: this.time,
+				weight: weight > 0 ? weight : 1
+			};
+
+			this.tenants.set(name, tenant);
+		}
+		else if (tenant.queue.length === 0) {
+			tenant.time = Math.max(tenant.time, this.time);
+		}
+
+		entry.tenant = name;
+		tenant.queue.enqueue(entry);
+		this.length++;
+	}
+
+	/**
+	 * Lists the tenants that have waiting entries, in the order they should be served.
+	 *
+	 * @returns {Object[]} The tenants, ordered by ascending virtual time.
+	 */
+	order() {
+		let waiting = [];
+
+		this.tenants.forEach(function(tenant) {
+			if (tenant.queue.length > 0) {
+				waiting.push(tenant);
+			}
+		});
+
+		return waiting.sort(function(a, b) {
+			return a.time - b.time;
+		});
+	}
+
+	/**
+	 * Finds the first entry, in the order they would be fulfilled, that satisfies a predicate without removing it.
+	 * Tenants are searched in the order they should be served.
+	 *
+	 * @param {Function} [predicate] A function that is passed each entry and returns whether it is acceptable.
+	 * @returns {Object|null} The queue object, or `null` if there is no acceptable entry.
+	 */
+	peek(predicate = any) {
+		let waiting = this.order();
+
+		for (let i = 0; i < waiting.length; i++) {
+			let entry = waiting[i].queue.peek(predicate);
+
+			if (entry) {
+				return entry;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Rebuilds the queue of every tenant without any cancelled entries, optionally updating the remaining entries first.
+	 *
+	 * @param {Function} [fn] A function that will be passed each remaining entry before it is queued again.
+	 */
+	rebuild(fn) {
+		this.tenants.forEach(function(tenant) {
+			tenant.queue.rebuild(fn);
+		});
+	}
+}
+
+
+module.exports = {
+	FairScheduler: FairScheduler,
+	PriorityScheduler: PriorityScheduler,
+	fifo: fifo,
+	lifo: lifo
+};
@@ -1,4 +1,8 @@
 'use strict';
 
+const Pool = require('./lib/pool');
 
-module.exports = require('./lib/pool');
+
+Pool.PoolGroup = require('./lib/group');
+
+module.exports = Pool;
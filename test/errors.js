@@ -0,0 +1,145 @@
+'use strict';
+
+const chai = require('chai');
+const expect = require('chai').expect;
+
+const Pool = require('../main');
+
+
+chai.use(require('chai-as-promised'));
+
+
+function reason(promise) {
+	return promise.then(function() {
+		throw new Error('Expected the promise to be rejected.');
+	}, function(err) {
+		return err;
+	});
+}
+
+
+describe('errors', function() {
+	it('should all extend `PoolError` and carry a stable `code`', function() {
+		let codes = {
+			AbortError: 'ERR_POOL_ABORTED',
+			CircuitOpenError: 'ERR_POOL_CIRCUIT_OPEN',
+			DrainInterruptedError: 'ERR_POOL_DRAIN_INTERRUPTED',
+			ForeignObjectError: 'ERR_POOL_FOREIGN_OBJECT',
+			InvalidStateError: 'ERR_POOL_INVALID_STATE',
+			PoolClosedError: 'ERR_POOL_CLOSED',
+			PoolDrainingError: 'ERR_POOL_DRAINING',
+			PoolInactiveError: 'ERR_POOL_INACTIVE',
+			QueueFullError: 'ERR_POOL_QUEUE_FULL',
+			TimeoutError: 'ERR_POOL_TIMEOUT',
+			WeightError: 'ERR_POOL_WEIGHT'
+		};
+
+		Object.keys(codes).forEach(function(name) {
+			let err = new Pool[name]();
+
+			expect(err).to.be.an.instanceOf(Pool.PoolError);
+			expect(err).to.be.an.instanceOf(Error);
+			expect(err.name).to.equal(name);
+			expect(err.code).to.equal(codes[name]);
+		});
+
+		expect(new Pool.ShedError('reject').code).to.equal('ERR_POOL_SHED');
+	});
+
+	it('should wrap the cause of creation and destruction failures', function() {
+		let cause = new Error('ECONNREFUSED');
+		let create = new Pool.CreateError(cause);
+		let destroy = new Pool.DestroyError(cause);
+
+		expect(create.message).to.equal('ECONNREFUSED');
+		expect(create.cause).to.equal(cause);
+		expect(create.code).to.equal('ERR_POOL_CREATE');
+		expect(destroy.message).to.equal('ECONNREFUSED');
+		expect(destroy.cause).to.equal(cause);
+		expect(destroy.code).to.equal('ERR_POOL_DESTROY');
+	});
+
+	it('should make `RetryError` a kind of `CreateError`', function() {
+		let err = new Pool.RetryError([{
+			attempt: 1,
+			duration: 0,
+			error: new Error('foo')
+		}]);
+
+		expect(err).to.be.an.instanceOf(Pool.CreateError);
+		expect(err.code).to.equal('ERR_POOL_RETRY');
+		expect(err.cause.message).to.equal('foo');
+	});
+
+	describe('Pool', function() {
+		it('should reject acquisition requests with `PoolDrainingError` and `PoolInactiveError`', async function() {
+			let pool = new Pool();
+			let slot = await pool.acquire();
+			let draining = pool.drain();
+
+			expect((await reason(pool.acquire())).code).to.equal('ERR_POOL_DRAINING');
+
+			await pool.release(slot);
+			await draining;
+
+			expect((await reason(pool.acquire())).code).to.equal('ERR_POOL_INACTIVE');
+		});
+
+		it('should reject the release of foreign objects with `ForeignObjectError`', async function() {
+			let pool = new Pool();
+
+			await expect(pool.release({})).to.be.rejectedWith(Pool.ForeignObjectError);
+		});
+
+		it('should reject releases with `DestroyError` when destruction fails', async function() {
+			let cause = new Error('destroy');
+
+			let pool = new Pool({
+				destroy: function() {
+					throw cause;
+				}
+			});
+
+			let err = await reason(pool.release(await pool.acquire(), {
+				destroy: true
+			}));
+
+			expect(err).to.be.an.instanceOf(Pool.DestroyError);
+			expect(err.cause).to.equal(cause);
+		});
+
+		it('should reject interrupted drains with `DrainInterruptedError`', async function() {
+			let pool = new Pool();
+
+			await pool.acquire();
+
+			let draining = pool.drain();
+
+			await pool.resume();
+			await expect(draining).to.be.rejectedWith(Pool.DrainInterruptedError);
+		});
+
+		it('should reject impossible transitions with `InvalidStateError`', async function() {
+			let pool = new Pool();
+
+			await pool.drain();
+			await expect(pool.pause()).to.be.rejectedWith(Pool.InvalidStateError);
+		});
+	});
+
+	describe('PoolGroup', function() {
+		it('should reject with the same error types as `Pool`', async function() {
+			let group = new Pool.PoolGroup({
+				factory: function() {
+					return {};
+				}
+			});
+
+			await expect(group.release({})).to.be.rejectedWith(Pool.ForeignObjectError);
+
+			group.drain();
+
+			await expect(group.acquire('a')).to.be.rejectedWith(Pool.PoolDrainingError);
+		});
+	});
+});
@@ -0,0 +1,326 @@
+'use strict';
+
+const chai = require('chai');
+const expect = require('chai').expect;
+const sinon = require('sinon');
+
+const Pool = require('../main');
+
+
+chai.use(require('sinon-chai'));
+chai.use(require('chai-as-promised'));
+
+
+function wait(ms) {
+	return new Promise(function(resolve) {
+		setTimeout(resolve, ms);
+	});
+}
+
+
+describe('PoolGroup', function() {
+	it('should be exported alongside `Pool`', function() {
+		expect(Pool.PoolGroup).to.be.a('function');
+	});
+
+	describe('eviction', function() {
+		it('should remove the pools of keys that have been idle for longer than `idleTimeoutMs`', async function() {
+			let destroy = sinon.spy();
+			let listener = sinon.spy();
+
+			let group = new Pool.PoolGroup({
+				evictionIntervalMs: 5,
+				factory: function() {
+					return {
+						destroy: destroy
+					};
+				},
+				idleTimeoutMs: 10
+			});
+
+			group.on('evict', listener);
+
+			let obj = await group.acquire('a');
+
+			await group.acquire('b');
+			await group.release(obj);
+			await wait(30);
+
+			expect(group.keys()).to.deep.equal(['b']);
+			expect(listener).to.have.been.calledOnce;
+			expect(listener.args[0][0].key).to.equal('a');
+			expect(listener.args[0][0].pool.state).to.equal(Pool.states.CLOSED);
+			expect(destroy).to.have.been.calledWith(obj);
+		});
+	});
+
+	describe('instance method', function() {
+		describe('acquire', function() {
+			it('should lazily create a pool per key from the factory', async function() {
+				let factory = sinon.spy(function(key) {
+					return {
+						create: function() {
+							return {
+								key: key
+							};
+						}
+					};
+				});
+
+				let group = new Pool.PoolGroup({
+					factory: factory
+				});
+
+				expect(group.size).to.equal(0);
+
+				let a = await group.acquire('a');
+				let b = await group.acquire('b');
+
+				expect(a.key).to.equal('a');
+				expect(b.key).to.equal('b');
+				expect(group.keys()).to.deep.equal(['a', 'b']);
+				expect(factory).to.have.been.calledTwice;
+				expect(group.get('a')).to.be.an.instanceOf(Pool);
+				expect(group.get('c')).to.be.undefined;
+			});
+
+			it('should accept `Pool` instances from the factory', async function() {
+				let pool = new Pool();
+
+				let group = new Pool.PoolGroup({
+					factory: function() {
+						return pool;
+					}
+				});
+
+				await group.acquire('a');
+
+				expect(group.get('a')).to.equal(pool);
+				expect(pool.count).to.equal(1);
+			});
+
+			it('should cap every pool with `maxPerKey`', async function() {
+				let group = new Pool.PoolGroup({
+					factory: function() {
+						return {};
+					},
+					maxPerKey: 2
+				});
+
+				await group.acquire('a');
+				await group.acquire('a');
+				group.acquire('a');
+
+				expect(group.get('a').count).to.equal(2);
+				expect(group.get('a').waiting).to.equal(1);
+			});
+
+			it('should cap the work slots issued across all pools with `max`', async function() {
+				let group = new Pool.PoolGroup({
+					factory: function() {
+						return {};
+					},
+					max: 2,
+					maxPerKey: 2
+				});
+
+				let obj = await group.acquire('a');
+
+				await group.acquire('b');
+
+				let pending = group.acquire('c');
+
+				await wait(5);
+
+				expect(group.get('c').count).to.equal(1);
+
+				await group.release(obj);
+				await pending;
+			});
+
+			it('should return the object of a key when the global permit times out', async function() {
+				let group = new Pool.PoolGroup({
+					factory: function() {
+						return {};
+					},
+					max: 1
+				});
+
+				await group.acquire('a');
+				await expect(group.acquire('b', {
+					timeout: 5
+				})).to.be.rejectedWith(Pool.TimeoutError);
+
+				expect(group.get('b').count).to.equal(0);
+				expect(group.get('b').idle).to.equal(1);
+			});
+
+			it('should reject acquisition requests while draining', async function() {
+				let group = new Pool.PoolGroup({
+					factory: function() {
+						return {};
+					}
+				});
+
+				group.drain();
+
+				await expect(group.acquire('a')).to.be.rejectedWith('Pool is draining.');
+			});
+		});
+
+		describe('close', function() {
+			it('should close every pool and stop the evictor', async function() {
+				let group = new Pool.PoolGroup({
+					factory: function() {
+						return {};
+					},
+					idleTimeoutMs: 10
+				});
+
+				await group.acquire('a')
+					.then(function(obj) {
+						return group.release(obj);
+					});
+
+				let clear = sinon.spy(global, 'clearInterval');
+
+				try {
+					await group.close();
+				}
+				finally {
+					clear.restore();
+				}
+
+				expect(clear).to.have.been.called;
+				expect(group.state).to.equal(Pool.states.CLOSED);
+				expect(group.get('a').state).to.equal(Pool.states.CLOSED);
+
+				await expect(group.acquire('a')).to.be.rejectedWith(Pool.PoolClosedError);
+				await expect(group.resume()).to.be.rejectedWith(Pool.PoolClosedError);
+			});
+		});
+
+		describe('drain', function() {
+			it('should drain every pool', async function() {
+				let group = new Pool.PoolGroup({
+					factory: function() {
+						return {};
+					},
+					max: 5
+				});
+
+				let obj = await group.acquire('a');
+
+				await group.acquire('b')
+					.then(function(obj) {
+						return group.release(obj);
+					});
+
+				let drained = group.drain();
+
+				expect(group.state).to.equal(Pool.states.DRAINING);
+
+				await group.release(obj);
+				await drained;
+
+				expect(group.state).to.equal(Pool.states.INACTIVE);
+				expect(group.get('a').state).to.equal(Pool.states.INACTIVE);
+				expect(group.get('b').state).to.equal(Pool.states.INACTIVE);
+			});
+		});
+
+		describe('pause', function() {
+			it('should pause every pool, including those created while paused', async function() {
+				let group = new Pool.PoolGroup({
+					factory: function() {
+						return {};
+					}
+				});
+
+				await group.acquire('a')
+					.then(function(obj) {
+						return group.release(obj);
+					});
+				await group.pause();
+
+				let pending = group.acquire('b');
+
+				expect(group.state).to.equal(Pool.states.PAUSED);
+				expect(group.get('a').state).to.equal(Pool.states.PAUSED);
+				expect(group.get('b').state).to.equal(Pool.states.PAUSED);
+				expect(group.get('b').waiting).to.equal(1);
+
+				await group.resume();
+				await pending;
+			});
+		});
+
+		describe('release', function() {
+			it('should reject objects that were not obtained from the group', async function() {
+				let group = new Pool.PoolGroup({
+					factory: function() {
+						return {};
+					}
+				});
+
+				await expect(group.release({})).to.be.rejectedWith('Object was not obtained from this pool.');
+			});
+		});
+
+		describe('resume', function() {
+			it('should resume every pool', async function() {
+				let group = new Pool.PoolGroup({
+					factory: function() {
+						return {};
+					}
+				});
+
+				await group.acquire('a')
+					.then(function(obj) {
+						return group.release(obj);
+					});
+				await group.drain();
+				await group.resume();
+
+				expect(group.state).to.equal(Pool.states.ACTIVE);
+				expect(group.get('a').state).to.equal(Pool.states.ACTIVE);
+
+				await group.acquire('a');
+			});
+		});
+
+		describe('stats', function() {
+			it('should sum the counters of every pool', async function() {
+				let group = new Pool.PoolGroup({
+					factory: function() {
+						return {
+							max: 5
+						};
+					},
+					max: 10
+				});
+
+				let obj = await group.acquire('a');
+
+				await group.acquire('a');
+				await group.acquire('b');
+				await group.release(obj);
+
+				let stats = group.stats();
+
+				expect(stats).to.include({
+					acquisitions: 3,
+					count: 2,
+					idle: 1,
+					keys: 2,
+					max: 10,
+					releases: 1,
+					state: 'active',
+					waiting: 0
+				});
+				expect(stats.pools.a.count).to.equal(1);
+				expect(stats.pools.b.count).to.equal(1);
+			});
+		});
+	});
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+const expect = require('chai').expect;
+
+const Histogram = require('../lib/histogram');
+
+
+describe('Histogram', function() {
+	describe('instance method', function() {
+		describe('percentile', function() {
+			it('should return 0 when nothing has been recorded', function() {
+				let histogram = new Histogram();
+
+				expect(histogram.percentile(50)).to.equal(0);
+			});
+
+			it('should interpolate within the bucket containing the requested rank', function() {
+				let histogram = new Histogram([10, 20]);
+
+				for (let i = 0; i < 10; i++) {
+					histogram.record(5);
+				}
+
+				for (let i = 0; i < 10; i++) {
+					histogram.record(15);
+				}
+
+				expect(histogram.percentile(50)).to.equal(10);
+				expect(histogram.percentile(75)).to.equal(15);
+			});
+
+			it('should not exceed the largest recorded value', function() {
+				let histogram = new Histogram([10, 20]);
+
+				histogram.record(12);
+
+				expect(histogram.percentile(99)).to.equal(12);
+			});
+
+			it('should use the largest recorded value to bound the unbounded bucket', function() {
+				let histogram = new Histogram([10]);
+
+				histogram.record(40);
+				histogram.record(40);
+
+				expect(histogram.percentile(50)).to.equal(25);
+				expect(histogram.percentile(100)).to.equal(40);
+			});
+		});
+
+		describe('snapshot', function() {
+			it('should report cumulative bucket counts, the sum and the count', function() {
+				let histogram = new Histogram([10, 20]);
+
+				histogram.record(5);
+				histogram.record(15);
+				histogram.record(25);
+
+				let snapshot = histogram.snapshot();
+
+				expect(snapshot.buckets).to.deep.equal([
+					{ le: 10, count: 1 },
+					{ le: 20, count: 2 },
+					{ le: Infinity, count: 3 }
+				]);
+				expect(snapshot.count).to.equal(3);
+				expect(snapshot.sum).to.equal(45);
+				expect(snapshot.max).to.equal(25);
+				expect(snapshot).to.have.all.keys('buckets', 'count', 'max', 'sum', 'p50', 'p95', 'p99');
+			});
+		});
+	});
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+const expect = require('chai').expect;
+
+const limit = require('../lib/limit');
+
+
+function window(options) {
+	return Object.assign({
+		errors: 0,
+		holdTime: 10,
+		inflight: 10,
+		samples: 1
+	}, options);
+}
+
+
+describe('AIMDLimit', function() {
+	describe('instance method', function() {
+		describe('update', function() {
+			it('should add to the limit after a healthy window', function() {
+				let aimd = new limit.AIMDLimit();
+
+				expect(aimd.update(10, window())).to.equal(11);
+			});
+
+			it('should not add to a limit that is not being reached', function() {
+				let aimd = new limit.AIMDLimit();
+
+				expect(aimd.update(10, window({
+					inflight: 4
+				}))).to.equal(10);
+			});
+
+			it('should cut the limit after a window with errors', function() {
+				let aimd = new limit.AIMDLimit();
+
+				expect(aimd.update(10, window({
+					errors: 1
+				}))).to.equal(9);
+			});
+
+			it('should cut the limit after a window whose mean hold time exceeds `latencyMs`', function() {
+				let aimd = new limit.AIMDLimit({
+					latencyMs: 50
+				});
+
+				expect(aimd.update(10, window({
+					holdTime: 120,
+					samples: 2
+				}))).to.equal(9);
+				expect(aimd.update(10, window({
+					holdTime: 80,
+					samples: 2
+				}))).to.equal(11);
+			});
+
+			it('should accept a custom `backoff` and `increase`', function() {
+				let aimd = new limit.AIMDLimit({
+					backoff: 0.5,
+					increase: 2
+				});
+
+				expect(aimd.update(10, window())).to.equal(12);
+				expect(aimd.update(10, window({
+					errors: 1
+				}))).to.equal(5);
+			});
+		});
+	});
+});
+
+
+describe('GradientLimit', function() {
+	describe('instance method', function() {
+		describe('update', function() {
+			it('should grow the limit by a smoothed square root while hold times are steady', function() {
+				let gradient = new limit.GradientLimit();
+
+				expect(gradient.update(16, window())).to.equal(16.8);
+			});
+
+			it('should leave a limit that is not being reached alone while hold times are steady', function() {
+				let gradient = new limit.GradientLimit();
+
+				expect(gradient.update(16, window({
+					inflight: 4
+				}))).to.equal(16);
+			});
+
+			it('should reduce the limit in proportion as hold times rise above the average', function() {
+				let gradient = new limit.GradientLimit();
+
+				gradient.update(10, window());
+
+				// The average moves to 12, so a mean of 30 gives a gradient of 1.5 * 12 / 30 = 0.6.
+				expect(gradient.update(10, window({
+					holdTime: 30,
+					inflight: 0
+				}))).to.be.closeTo(9.2, 1e-9);
+			});
+
+			it('should halve the target after a window with errors', function() {
+				let gradient = new limit.GradientLimit();
+
+				expect(gradient.update(10, window({
+					errors: 1
+				}))).to.equal(9);
+			});
+		});
+	});
+});
@@ -11,6 +11,38 @@ chai.use(require('sinon-chai'));
 chai.use(require('chai-as-promised'));
 
 
+// A minimal stand-in for `AbortController`, which versions of Node before 15 do not have.
+function abortable() {
+	let listeners = new Set();
+	let signal = {
+		aborted: false,
+		addEventListener: function(type, listener) {
+			listeners.add(listener);
+		},
+		removeEventListener: function(type, listener) {
+			listeners.delete(listener);
+		}
+	};
+
+	return {
+		abort: function() {
+			signal.aborted = true;
+			listeners.forEach(function(listener) {
+				listener();
+			});
+		},
+		signal: signal
+	};
+}
+
+
+function wait(ms, value) {
+	return new Promise(function(resolve) {
+		setTimeout(resolve, ms, value);
+	});
+}
+
+
 describe('Pool', function() {
 	describe('property', function() {
 		describe('state', function() {
@@ -36,217 +68,3125 @@ describe('Pool', function() {
 		});
 	});
 
-	describe('instance property', function() {
-		describe('count', function() {
-			it('should indicate the number of allocated acquisition requests before any requests have been made', function() {
-				let pool = new Pool();
+	describe('adaptive', function() {
+		it('should raise `max` after a window in which it was reached', async function() {
+			let listener = sinon.spy();
 
-				expect(pool.count).to.equal(0);
+			let pool = new Pool({
+				adaptive: {
+					windowMs: 5
+				},
+				max: 2
 			});
 
-			it('should indicate the number of allocated acquisition requests after a basic request has been made', async function() {
-				let pool = new Pool();
+			pool.on('max', listener);
 
-				await pool.acquire();
+			let a = await pool.acquire();
+			let b = await pool.acquire();
 
-				expect(pool.count).to.equal(1);
+			await pool.release(a);
+			await wait(10);
+			await pool.release(b);
+
+			expect(pool.max).to.equal(3);
+			expect(listener).to.have.been.calledOnce;
+			expect(listener.args[0][0]).to.include({
+				max: 3,
+				previous: 2
 			});
+		});
 
-			it('should correct indicate the number of allocated acquisition requests if the maximum has been exceeded', function() {
-				const MAX = 1;
-				const COUNT = 10;
+		it('should cut `max` after a window with errors reported on release', async function() {
+			let pool = new Pool({
+				adaptive: {
+					windowMs: 5
+				},
+				max: 10
+			});
 
-				let pool = new Pool({
-					max: MAX
+			await pool.release(await pool.acquire(), {
+				error: new Error('Upstream failure.')
+			});
+			await wait(10);
+			await pool.release(await pool.acquire());
+
+			expect(pool.max).to.equal(9);
+		});
+
+		it('should not cut `max` below the weight of a waiting acquisition request', async function() {
+			let pool = new Pool({
+				adaptive: {
+					windowMs: 5
+				},
+				max: 4
+			});
+
+			let a = await pool.acquire();
+			let b = await pool.acquire();
+			let heavy = pool.acquire({
+				weight: 4
+			});
+
+			await pool.release(a, {
+				error: new Error('Upstream failure.')
+			});
+			await wait(10);
+			await pool.release(b, {
+				error: new Error('Upstream failure.')
+			});
+
+			await heavy;
+
+			expect(pool.max).to.equal(4);
+		});
+
+		it('should treat failed `.use()` tasks as errors', async function() {
+			let pool = new Pool({
+				adaptive: {
+					windowMs: 5
+				},
+				max: 10
+			});
+
+			function fail() {
+				throw new Error('Upstream failure.');
+			}
+
+			await expect(pool.use(fail)).to.be.rejected;
+			await wait(10);
+			await expect(pool.use(fail)).to.be.rejected;
+
+			expect(pool.max).to.equal(9);
+		});
+
+		it('should keep `max` within the floor and the ceiling', async function() {
+			let pool = new Pool({
+				adaptive: {
+					backoff: 0.5,
+					ceiling: 4,
+					floor: 2,
+					windowMs: 5
+				},
+				max: 8
+			});
+
+			expect(pool.max).to.equal(4);
+
+			for (let i = 0; i < 2; i++) {
+				await pool.release(await pool.acquire(), {
+					error: true
 				});
+				await wait(10);
+				await pool.release(await pool.acquire(), {
+					error: true
+				});
+				await wait(10);
+			}
 
-				for (let i = 0; i < COUNT; i++) {
-					pool.acquire();
+			expect(pool.max).to.equal(2);
+		});
+
+		it('should follow `max` when it is changed by hand', async function() {
+			let pool = new Pool({
+				adaptive: {
+					windowMs: 5
+				},
+				max: 10
+			});
+
+			pool.max = 20;
+
+			await pool.release(await pool.acquire(), {
+				error: true
+			});
+			await wait(10);
+			await pool.release(await pool.acquire());
+
+			expect(pool.max).to.equal(18);
+		});
+
+		it('should use the gradient algorithm when requested', async function() {
+			let pool = new Pool({
+				adaptive: {
+					algorithm: Pool.limitAlgorithms.GRADIENT,
+					windowMs: 5
+				},
+				max: 10
+			});
+
+			await pool.release(await pool.acquire(), {
+				error: true
+			});
+			await wait(10);
+			await pool.release(await pool.acquire());
+
+			expect(pool.max).to.equal(9);
+		});
+	});
+
+	describe('aging', function() {
+		it('should not change the effective priority unless enabled', async function() {
+			let pool = new Pool();
+
+			await pool.acquire();
+			pool.acquire(2);
+			await wait(5);
+
+			expect(pool.waiters()[0]).to.include({
+				effectivePriority: 2,
+				priority: 2
+			});
+		});
+
+		it('should raise the effective priority of waiting requests up to the ceiling', async function() {
+			let pool = new Pool({
+				aging: {
+					ceiling: 3,
+					intervalMs: 10,
+					rate: 1
+				}
+			});
+
+			await pool.acquire();
+			pool.acquire(1);
+			pool.acquire(5);
+
+			await wait(35);
+
+			expect(pool.waiters().map(function(waiter) {
+				return waiter.effectivePriority;
+			})).to.deep.equal([3, 5]);
+
+			await wait(20);
+
+			expect(pool.waiters()[0]).to.include({
+				effectivePriority: 3,
+				priority: 1
+			});
+		});
+
+		it('should age priorities given as numeric strings as numbers', async function() {
+			let pool = new Pool({
+				aging: {
+					intervalMs: 10,
+					rate: 1
+				}
+			});
+
+			await pool.acquire();
+			pool.acquire({
+				priority: '5'
+			});
+
+			await wait(25);
+
+			let waiter = pool.waiters()[0];
+
+			expect(waiter.priority).to.equal(5);
+			expect(waiter.effectivePriority).to.be.a('number').within(6, 7);
+		});
+
+		it('should serve a request that has aged before later requests of a higher priority', async function() {
+			let spawn = sinon.spy();
+
+			let pool = new Pool({
+				aging: {
+					intervalMs: 10,
+					rate: 1
+				}
+			});
+
+			pool.on('spawn', spawn);
+
+			let slot = await pool.acquire();
+			let low = pool.acquire(1);
+
+			await wait(45);
+
+			let high = pool.acquire(3);
+
+			await pool.release(slot);
+			await low;
+
+			expect(pool.waiters()[0].priority).to.equal(3);
+			expect(spawn.secondCall.args[0].priority).to.equal(1);
+			expect(spawn.secondCall.args[0].effectivePriority).to.be.above(3);
+
+			await pool.release(await low);
+			await high;
+		});
+	});
+
+	describe('breaker', function() {
+		function failing() {
+			return sinon.spy(function() {
+				throw new Error('unavailable');
+			});
+		}
+
+
+		it('should not have a state unless enabled', function() {
+			let pool = new Pool({
+				create: function() {
+					return {};
+				}
+			});
+
+			expect(pool.breakerState).to.be.null;
+		});
+
+		it('should open after `threshold` consecutive failures and reject fast', async function() {
+			let create = failing();
+
+			let pool = new Pool({
+				breaker: {
+					cooldownMs: 1000,
+					threshold: 2
+				},
+				create: create
+			});
+
+			await expect(pool.acquire()).to.be.rejectedWith('unavailable');
+			expect(pool.breakerState).to.equal(Pool.breakerStates.CLOSED);
+
+			await expect(pool.acquire()).to.be.rejectedWith('unavailable');
+			expect(pool.breakerState).to.equal(Pool.breakerStates.OPEN);
+
+			await expect(pool.acquire()).to.be.rejectedWith(Pool.CircuitOpenError, 'Circuit breaker is open.');
+			expect(create).to.have.been.calledTwice;
+			expect(pool.count).to.equal(0);
+		});
+
+		it('should reset the failure count after a successful creation', async function() {
+			let create = failing();
+
+			let pool = new Pool({
+				breaker: {
+					threshold: 2
+				},
+				create: function() {
+					return create();
+				},
+				max: 2
+			});
+
+			await expect(pool.acquire()).to.be.rejectedWith('unavailable');
+
+			create = sinon.stub().returns({});
+			await pool.acquire();
+
+			create = failing();
+			await expect(pool.acquire()).to.be.rejectedWith('unavailable');
+
+			expect(pool.breakerState).to.equal(Pool.breakerStates.CLOSED);
+		});
+
+		it('should reject waiting acquisition requests when it opens', async function() {
+			let pool = new Pool({
+				breaker: {
+					threshold: 1
+				},
+				create: function() {
+					return wait(5).then(function() {
+						throw new Error('unavailable');
+					});
+				}
+			});
+
+			let first = pool.acquire();
+			let second = pool.acquire();
+
+			expect(pool.waiting).to.equal(1);
+
+			await expect(first).to.be.rejectedWith('unavailable');
+			await expect(second).to.be.rejectedWith(Pool.CircuitOpenError);
+			expect(pool.waiting).to.equal(0);
+		});
+
+		it('should close after a successful probe once the cool-down has elapsed', async function() {
+			let fail = true;
+			let listener = sinon.spy();
+
+			let pool = new Pool({
+				breaker: {
+					cooldownMs: 10,
+					threshold: 1
+				},
+				create: function() {
+					if (fail) {
+						throw new Error('unavailable');
+					}
+
+					return {};
+				}
+			});
+
+			pool.on('breaker', listener);
+
+			await expect(pool.acquire()).to.be.rejectedWith('unavailable');
+			await wait(15);
+
+			expect(pool.breakerState).to.equal(Pool.breakerStates.HALF_OPEN);
+
+			fail = false;
+			await pool.acquire();
+
+			expect(pool.breakerState).to.equal(Pool.breakerStates.CLOSED);
+			expect(listener.args.map(function(args) {
+				return [args[0].previous, args[0].state];
+			})).to.deep.equal([
+				['closed', 'open'],
+				['open', 'half-open'],
+				['half-open', 'closed']
+			]);
+		});
+
+		it('should open again after a failed probe', async function() {
+			let create = failing();
+
+			let pool = new Pool({
+				breaker: {
+					cooldownMs: 10,
+					threshold: 1
+				},
+				create: create
+			});
+
+			await expect(pool.acquire()).to.be.rejectedWith('unavailable');
+			await wait(15);
+			await expect(pool.acquire()).to.be.rejectedWith('unavailable');
+
+			expect(pool.breakerState).to.equal(Pool.breakerStates.OPEN);
+			await expect(pool.acquire()).to.be.rejectedWith(Pool.CircuitOpenError);
+			expect(create).to.have.been.calledTwice;
+		});
+
+		it('should only permit `probes` concurrent creations while half-open', async function() {
+			let create = sinon.spy(function() {
+				return wait(5).then(function() {
+					throw new Error('unavailable');
+				});
+			});
+
+			let pool = new Pool({
+				breaker: {
+					cooldownMs: 10,
+					threshold: 1
+				},
+				create: create,
+				max: 2
+			});
+
+			await expect(pool.acquire()).to.be.rejectedWith('unavailable');
+			await wait(15);
+
+			let results = await Promise.all([
+				pool.acquire().catch(function(err) {
+					return err;
+				}),
+				pool.acquire().catch(function(err) {
+					return err;
+				})
+			]);
+
+			expect(create).to.have.been.calledTwice;
+			expect(results[0].message).to.equal('unavailable');
+			expect(results[1]).to.be.an.instanceOf(Pool.CircuitOpenError);
+			expect(pool.count).to.equal(0);
+		});
+	});
+
+	describe('creation', function() {
+		it('should create no more than `maxPendingCreates` objects at once', async function() {
+			let creating = 0;
+			let peak = 0;
+
+			let pool = new Pool({
+				create: function() {
+					creating++;
+					peak = Math.max(peak, creating);
+
+					return wait(5).then(function() {
+						creating--;
+
+						return {};
+					});
+				},
+				max: 10,
+				maxPendingCreates: 2
+			});
+
+			let promises = [];
+
+			for (let i = 0; i < 10; i++) {
+				promises.push(pool.acquire());
+			}
+
+			expect(pool.pending).to.equal(2);
+			expect(pool.count).to.equal(2);
+			expect(pool.waiting).to.equal(8);
+
+			await Promise.all(promises);
+
+			expect(peak).to.equal(2);
+			expect(pool.count).to.equal(10);
+		});
+
+		it('should apply the limit to replacements for idle objects that fail validation', async function() {
+			let creating = 0;
+			let peak = 0;
+			let valid = true;
+
+			let pool = new Pool({
+				create: function() {
+					creating++;
+					peak = Math.max(peak, creating);
+
+					return wait(5).then(function() {
+						creating--;
+
+						return {};
+					});
+				},
+				max: 5,
+				maxPendingCreates: 1,
+				validate: function() {
+					return valid;
+				}
+			});
+
+			let slots = await Promise.all([1, 2, 3, 4, 5].map(function() {
+				return pool.acquire();
+			}));
+
+			await Promise.all(slots.map(function(slot) {
+				return pool.release(slot);
+			}));
+
+			valid = false;
+			peak = 0;
+
+			await Promise.all([1, 2, 3, 4, 5].map(function() {
+				return pool.acquire();
+			}));
+
+			expect(peak).to.equal(1);
+		});
+
+		it('should still issue idle objects while creations are at the limit', async function() {
+			let slow = false;
+
+			let pool = new Pool({
+				create: function() {
+					return slow ? wait(20).then(function() {
+						return {};
+					}) : {};
+				},
+				max: 3,
+				maxPendingCreates: 1
+			});
+
+			let slot = await pool.acquire();
+
+			slow = true;
+
+			let creating = pool.acquire();
+
+			await pool.release(slot);
+
+			expect(await pool.acquire()).to.equal(slot);
+			expect(pool.pending).to.equal(1);
+
+			await creating;
+		});
+
+		it('should apply the limit to objects created to satisfy `min`', async function() {
+			let pool = new Pool({
+				create: function() {
+					return wait(5).then(function() {
+						return {};
+					});
+				},
+				max: 4,
+				maxPendingCreates: 2,
+				min: 4
+			});
+
+			expect(pool.pending).to.equal(2);
+
+			await pool.ready();
+
+			expect(pool.idle).to.equal(4);
+		});
+	});
+
+	describe('destruction', function() {
+		it('should free the slot of an object that could not be destroyed', async function() {
+			let pool = new Pool({
+				destroy: function() {
+					throw new Error('destroy');
+				},
+				max: 1
+			});
+
+			let slot = await pool.acquire();
+			let pending = pool.acquire();
+
+			await expect(pool.release(slot, {
+				destroy: true
+			})).to.be.rejectedWith(Pool.DestroyError);
+
+			expect(await pending).to.not.equal(slot);
+			expect(pool.count).to.equal(1);
+			expect(pool.stats().destroyFailures).to.equal(1);
+		});
+
+		it('should only report the failure to the first release of the object', async function() {
+			let pool = new Pool({
+				destroy: function() {
+					throw new Error('destroy');
+				}
+			});
+
+			let slot = await pool.acquire();
+
+			await expect(pool.release(slot, {
+				destroy: true
+			})).to.be.rejectedWith(Pool.DestroyError);
+			await pool.release(slot);
+
+			expect(pool.count).to.equal(0);
+		});
+
+		it('should announce failures with a `destroyError` event', async function() {
+			let cause = new Error('destroy');
+			let listener = sinon.spy();
+
+			let pool = new Pool({
+				destroy: function() {
+					throw cause;
 				}
+			});
+
+			pool.on('destroyError', listener);
+
+			let slot = await pool.acquire();
+
+			await pool.release(slot, {
+				destroy: true
+			}).catch(function() {});
+
+			expect(listener).to.have.been.calledOnce;
+			expect(listener.args[0][0]).to.include({
+				error: cause,
+				object: slot,
+				quarantined: false
+			});
+		});
+
+		it('should finish draining even if objects could not be destroyed', async function() {
+			let pool = new Pool({
+				destroy: function() {
+					return Promise.reject(new Error('destroy'));
+				},
+				max: 2
+			});
+
+			let slot = await pool.acquire();
+			let idle = await pool.acquire();
+
+			await pool.release(idle);
+
+			let draining = pool.drain();
+
+			await pool.release(slot, {
+				destroy: true
+			}).catch(function() {});
+			await draining;
+
+			expect(pool.state).to.equal(Pool.states.INACTIVE);
+			expect(pool.stats().destroyFailures).to.equal(2);
+		});
+
+		it('should hold objects that could not be destroyed in quarantine if `quarantine` is set', async function() {
+			let fail = true;
+
+			let pool = new Pool({
+				destroy: function() {
+					if (fail) {
+						throw new Error('destroy');
+					}
+				},
+				quarantine: true
+			});
+
+			let slot = await pool.acquire();
+
+			await pool.release(slot, {
+				destroy: true
+			}).catch(function() {});
+
+			expect(pool.count).to.equal(0);
+			expect(pool.quarantined()).to.deep.equal([slot]);
+			expect(pool.stats().quarantined).to.equal(1);
+
+			fail = false;
+
+			await pool.drain();
+
+			expect(pool.quarantined()).to.deep.equal([]);
+		});
+	});
+
+	describe('event', function() {
+		it('should fulfill the acquisition request even if a `create` listener throws', async function() {
+			let pool = new Pool();
+
+			pool.once('create', function() {
+				throw new Error('listener');
+			});
+
+			let slot = await pool.acquire();
+
+			await wait(5);
+
+			expect(pool.count).to.equal(1);
+			expect(pool.pending).to.equal(0);
+
+			await pool.release(slot);
+
+			expect(pool.count).to.equal(0);
+		});
+
+		it('should emit `acquire` and `spawn` with the current `count` and `waiting`', async function() {
+			let pool = new Pool();
+			let acquire = sinon.spy();
+			let spawn = sinon.spy();
+
+			pool.on('acquire', acquire);
+			pool.on('spawn', spawn);
+
+			await pool.acquire(3);
+
+			expect(acquire).to.have.been.calledOnce;
+			expect(acquire.firstCall.args[0]).to.include({
+				count: 0,
+				priority: 3,
+				waiting: 1
+			});
+			expect(acquire.firstCall.args[0].timestamp).to.be.a('number');
+			expect(spawn.firstCall.args[0]).to.include({
+				count: 1,
+				reused: false,
+				waiting: 0
+			});
+		});
+
+		it('should emit `create` when an object is created', async function() {
+			let pool = new Pool();
+			let spy = sinon.spy();
+
+			pool.on('create', spy);
+
+			let slot = await pool.acquire();
+
+			expect(spy).to.have.been.calledOnce;
+			expect(spy.firstCall.args[0].object).to.equal(slot);
+			expect(spy.firstCall.args[0].duration).to.be.a('number');
+		});
+
+		it('should emit `createError` when object creation fails', async function() {
+			let err = new Error('foo');
+
+			let pool = new Pool({
+				create: function() {
+					throw err;
+				}
+			});
+
+			let spy = sinon.spy();
+
+			pool.on('createError', spy);
+
+			let reason = await pool.acquire().catch(function(err) {
+				return err;
+			});
+
+			expect(reason).to.be.an.instanceOf(Pool.CreateError);
+			expect(reason.message).to.equal('foo');
+			expect(reason.cause).to.equal(err);
+			expect(spy).to.have.been.calledOnce;
+			expect(spy.firstCall.args[0]).to.include({
+				count: 0,
+				error: err
+			});
+		});
+
+		it('should emit `release` and `destroy` when objects are returned', async function() {
+			let pool = new Pool();
+			let release = sinon.spy();
+			let destroy = sinon.spy();
+
+			pool.on('release', release);
+			pool.on('destroy', destroy);
+
+			let slot1 = await pool.acquire();
+
+			await pool.release(slot1);
+
+			let slot2 = await pool.acquire();
+
+			await pool.release(slot2, {
+				destroy: true
+			});
+
+			expect(release).to.have.been.calledTwice;
+			expect(release.firstCall.args[0]).to.include({
+				destroyed: false,
+				object: slot1
+			});
+			expect(release.secondCall.args[0]).to.include({
+				destroyed: true,
+				object: slot2
+			});
+			expect(destroy).to.have.been.calledOnce;
+			expect(destroy.firstCall.args[0].object).to.equal(slot2);
+		});
+
+		it('should emit `drain`, `drained` and `resume` on state transitions', async function() {
+			let pool = new Pool();
+			let spy = sinon.spy();
+
+			pool.on('drain', spy.bind(null, 'drain'));
+			pool.on('drained', spy.bind(null, 'drained'));
+			pool.on('resume', spy.bind(null, 'resume'));
+
+			let slot = await pool.acquire();
+			let draining = pool.drain();
+
+			expect(spy).to.have.been.calledOnce;
+			expect(spy).to.have.been.calledWith('drain');
+
+			await pool.release(slot);
+			await draining;
+			await pool.resume();
+
+			expect(spy.args.map(function(args) {
+				return args[0];
+			})).to.deep.equal(['drain', 'drained', 'resume']);
+		});
+
+		it('should emit `max` when the maximum changes', function() {
+			let pool = new Pool({
+				max: 1
+			});
+
+			let spy = sinon.spy();
+
+			pool.on('max', spy);
+			pool.max = 5;
+
+			expect(spy).to.have.been.calledOnce;
+			expect(spy.firstCall.args[0]).to.include({
+				max: 5,
+				previous: 1
+			});
+		});
+	});
+
+	describe('eviction', function() {
+		it('should destroy objects that have been idle longer than `idleTimeoutMs`', async function() {
+			let destroy = sinon.spy();
+
+			let pool = new Pool({
+				destroy: destroy,
+				evictionIntervalMs: 5,
+				idleTimeoutMs: 10
+			});
+
+			let slot = await pool.acquire();
+
+			await pool.release(slot);
+			await wait(30);
+
+			expect(destroy).to.have.been.calledWith(slot);
+			expect(pool.idle).to.equal(0);
+		});
+
+		it('should keep `min` objects when evicting idle objects', async function() {
+			let pool = new Pool({
+				evictionIntervalMs: 5,
+				idleTimeoutMs: 10,
+				max: 3,
+				min: 1
+			});
+
+			let slots = await Promise.all([pool.acquire(), pool.acquire(), pool.acquire()]);
+
+			await Promise.all(slots.map(function(slot) {
+				return pool.release(slot);
+			}));
+
+			expect(pool.idle).to.equal(3);
+
+			await wait(30);
+
+			expect(pool.idle).to.equal(1);
+		});
+
+		it('should replace objects older than `maxLifetimeMs` even below `min`', async function() {
+			let create = sinon.spy(function() {
+				return {};
+			});
+
+			let pool = new Pool({
+				create: create,
+				evictionIntervalMs: 5,
+				maxLifetimeMs: 10,
+				min: 1
+			});
+
+			await pool.ready();
+
+			let spy = sinon.spy();
+
+			pool.on('evict', spy);
+
+			await wait(30);
+
+			expect(spy).to.have.been.called;
+			expect(spy.firstCall.args[0].reason).to.equal('lifetime');
+			expect(create.callCount).to.be.at.least(2);
+			expect(pool.idle).to.equal(1);
+		});
+
+		it('should destroy objects on release once they reach `maxUses`', async function() {
+			let destroy = sinon.spy();
+
+			let pool = new Pool({
+				destroy: destroy,
+				maxUses: 2
+			});
+
+			let slot = await pool.acquire();
+
+			await pool.release(slot);
+
+			expect(await pool.acquire()).to.equal(slot);
+
+			await pool.release(slot);
+
+			expect(destroy).to.have.been.calledWith(slot);
+			expect(pool.idle).to.equal(0);
+		});
+
+		it('should not issue idle objects that have expired since the last eviction run', async function() {
+			let pool = new Pool({
+				evictionIntervalMs: 60000,
+				maxLifetimeMs: 10
+			});
+
+			let slot = await pool.acquire();
+
+			await pool.release(slot);
+			await wait(15);
+
+			expect(await pool.acquire()).to.not.equal(slot);
+		});
+	});
+
+	describe('leak', function() {
+		it('should emit `leak` for objects held longer than `leakDetectionMs`', async function() {
+			let listener = sinon.spy();
+
+			let pool = new Pool({
+				leakDetectionMs: 10
+			});
+
+			pool.on('leak', listener);
+
+			let slot = await pool.acquire();
+
+			await wait(20);
+
+			expect(listener).to.have.been.calledOnce;
+			expect(listener.args[0][0].object).to.equal(slot);
+			expect(listener.args[0][0].heldMs).to.be.at.least(10);
+			expect(listener.args[0][0].stack).to.include('test/pool.js');
+		});
+
+		it('should not emit `leak` for objects released in time', async function() {
+			let listener = sinon.spy();
+
+			let pool = new Pool({
+				leakDetectionMs: 10
+			});
+
+			pool.on('leak', listener);
+
+			await pool.release(await pool.acquire());
+			await wait(20);
+
+			expect(listener).to.not.have.been.called;
+		});
+
+		it('should emit a process warning without any `leak` listeners', async function() {
+			let stub = sinon.stub(process, 'emitWarning');
+
+			try {
+				let pool = new Pool({
+					leakDetectionMs: 10
+				});
+
+				await pool.acquire();
+				await wait(20);
+			}
+			finally {
+				stub.restore();
+			}
+
+			expect(stub).to.have.been.calledOnce;
+			expect(stub.args[0][0]).to.include('test/pool.js');
+			expect(stub.args[0][1]).to.equal('PoolLeakWarning');
+		});
+	});
+
+	describe('overflow', function() {
+		function settled(promise) {
+			return promise.then(function(slot) {
+				return slot;
+			}, function(err) {
+				return err;
+			});
+		}
+
+		it('should not limit the queue by default', async function() {
+			let pool = new Pool();
+
+			await pool.acquire();
+
+			for (let i = 0; i < 100; i++) {
+				pool.acquire();
+			}
+
+			expect(pool.waiting).to.equal(100);
+		});
+
+		it('should reject new acquisition requests with a `QueueFullError` by default', async function() {
+			let pool = new Pool({
+				maxWaiting: 1
+			});
+
+			let slot = await pool.acquire();
+			let waiting = pool.acquire();
+
+			await expect(pool.acquire()).to.be.rejectedWith(Pool.QueueFullError, 'Acquisition queue is full.');
+			expect(pool.waiting).to.equal(1);
+
+			await pool.release(slot);
+			await waiting;
+		});
+
+		it('should not count acquisition requests that can be fulfilled immediately', async function() {
+			let pool = new Pool({
+				max: 2,
+				maxWaiting: 0
+			});
+
+			await pool.acquire();
+			await pool.acquire();
+
+			await expect(pool.acquire()).to.be.rejectedWith(Pool.QueueFullError);
+		});
+
+		it('should withdraw the oldest waiting acquisition request with `drop-oldest`', async function() {
+			let pool = new Pool({
+				maxWaiting: 2,
+				overflow: Pool.overflowPolicies.DROP_OLDEST
+			});
+
+			let slot = await pool.acquire();
+			let first = settled(pool.acquire(5));
+			let second = pool.acquire(3);
+			let third = pool.acquire(2);
+
+			let err = await first;
+
+			expect(err).to.be.an.instanceOf(Pool.ShedError);
+			expect(err.policy).to.equal('drop-oldest');
+			expect(pool.waiting).to.equal(2);
+
+			await pool.release(slot);
+			await pool.release(await second);
+			await third;
+		});
+
+		it('should withdraw the request that would be served last with `drop-lowest-priority`', async function() {
+			let pool = new Pool({
+				maxWaiting: 2,
+				overflow: Pool.overflowPolicies.DROP_LOWEST_PRIORITY
+			});
+
+			let slot = await pool.acquire();
+
+			let low = settled(pool.acquire(1));
+			let high = pool.acquire(5);
+			let later = settled(pool.acquire(1));
+
+			expect(await later).to.be.an.instanceOf(Pool.QueueFullError);
+
+			pool.acquire(3);
+
+			expect(await low).to.be.an.instanceOf(Pool.ShedError);
+			expect(pool.waiting).to.equal(2);
+
+			await pool.release(slot);
+			await high;
+		});
+
+		it('should emit `shed` with the policy and the priority of the withdrawn request', async function() {
+			let listener = sinon.spy();
+
+			let pool = new Pool({
+				maxWaiting: 1,
+				overflow: Pool.overflowPolicies.DROP_OLDEST
+			});
+
+			pool.on('shed', listener);
+
+			await pool.acquire();
+
+			let first = settled(pool.acquire(2));
+
+			pool.acquire(3);
+			await first;
+
+			expect(listener).to.have.been.calledOnce;
+			expect(listener.args[0][0]).to.include({
+				policy: 'drop-oldest',
+				priority: 2,
+				waiting: 1
+			});
+		});
+	});
+
+	describe('retry', function() {
+		function failing(times) {
+			let calls = 0;
+
+			return sinon.spy(function() {
+				calls++;
+
+				if (calls <= times) {
+					throw new Error('attempt ' + calls);
+				}
+
+				return {};
+			});
+		}
+
+		it('should reject with a `CreateError` wrapping the original error without a retry policy', async function() {
+			let create = failing(1);
+
+			let pool = new Pool({
+				create: create
+			});
+
+			let err = await pool.acquire().catch(function(err) {
+				return err;
+			});
+
+			expect(err).to.be.an.instanceOf(Pool.CreateError);
+			expect(err.message).to.equal('attempt 1');
+			expect(err.cause.message).to.equal('attempt 1');
+
+			expect(create).to.have.been.calledOnce;
+		});
+
+		it('should retry failed creations up to the configured number of attempts', async function() {
+			let create = failing(2);
+
+			let pool = new Pool({
+				create: create,
+				retry: {
+					attempts: 3,
+					minDelayMs: 1
+				}
+			});
+
+			await pool.acquire();
+
+			expect(create).to.have.been.calledThrice;
+			expect(pool.count).to.equal(1);
+		});
+
+		it('should reject with a `RetryError` carrying the attempt history once exhausted', async function() {
+			let pool = new Pool({
+				create: failing(5),
+				retry: {
+					attempts: 3,
+					minDelayMs: 1
+				}
+			});
+
+			let err = await pool.acquire().catch(function(err) {
+				return err;
+			});
+
+			expect(err).to.be.an.instanceOf(Pool.RetryError);
+			expect(err.message).to.equal('Object creation failed after 3 attempts.');
+			expect(err.errors.map(function(e) {
+				return e.message;
+			})).to.deep.equal(['attempt 1', 'attempt 2', 'attempt 3']);
+			expect(err.attempts[0]).to.include.keys('attempt', 'delay', 'duration', 'error');
+			expect(err.cause.message).to.equal('attempt 3');
+			expect(pool.count).to.equal(0);
+		});
+
+		it('should back off exponentially between attempts', async function() {
+			let pool = new Pool({
+				create: failing(5),
+				retry: {
+					attempts: 4,
+					minDelayMs: 2,
+					maxDelayMs: 5,
+					jitter: false
+				}
+			});
+
+			let err = await pool.acquire().catch(function(err) {
+				return err;
+			});
+
+			expect(err.attempts.map(function(attempt) {
+				return attempt.delay;
+			})).to.deep.equal([2, 4, 5, undefined]);
+		});
+
+		it('should stop retrying errors the predicate declines', async function() {
+			let create = failing(5);
+
+			let pool = new Pool({
+				create: create,
+				retry: {
+					attempts: 5,
+					minDelayMs: 1,
+					retryable: function(err) {
+						return err.message !== 'attempt 2';
+					}
+				}
+			});
+
+			let err = await pool.acquire().catch(function(err) {
+				return err;
+			});
+
+			expect(err).to.be.an.instanceOf(Pool.RetryError);
+			expect(err.attempts).to.have.lengthOf(2);
+			expect(create).to.have.been.calledTwice;
+		});
+	});
+
+	describe('validation', function() {
+		it('should validate idle objects before issuing them', async function() {
+			let validate = sinon.spy(function() {
+				return true;
+			});
+
+			let pool = new Pool({
+				validate: validate
+			});
+
+			let slot = await pool.acquire();
+
+			expect(validate).to.not.have.been.called;
+
+			await pool.release(slot);
+
+			expect(await pool.acquire()).to.equal(slot);
+			expect(validate).to.have.been.calledOnce;
+			expect(validate).to.have.been.calledWith(slot);
+		});
+
+		it('should destroy and replace idle objects that fail validation', async function() {
+			let destroy = sinon.spy();
+			let invalid = new Set();
+
+			let pool = new Pool({
+				destroy: destroy,
+				validate: async function(obj) {
+					return !invalid.has(obj);
+				}
+			});
+
+			let slot = await pool.acquire();
+
+			await pool.release(slot);
+			invalid.add(slot);
+
+			let next = await pool.acquire();
+
+			expect(next).to.not.equal(slot);
+			expect(destroy).to.have.been.calledWith(slot);
+			expect(pool.count).to.equal(1);
+		});
+
+		it('should treat validation errors as failures', async function() {
+			let pool = new Pool({
+				validate: function() {
+					throw new Error('foo');
+				}
+			});
+
+			let slot = await pool.acquire();
+
+			await pool.release(slot);
+
+			expect(await pool.acquire()).to.not.equal(slot);
+		});
+
+		it('should skip validation on acquisition when `validateOnAcquire` is false', async function() {
+			let validate = sinon.spy();
+
+			let pool = new Pool({
+				validate: validate,
+				validateOnAcquire: false
+			});
+
+			let slot = await pool.acquire();
+
+			await pool.release(slot);
+
+			expect(await pool.acquire()).to.equal(slot);
+			expect(validate).to.not.have.been.called;
+		});
+
+		it('should validate released objects when `validateOnRelease` is set', async function() {
+			let destroy = sinon.spy();
+
+			let pool = new Pool({
+				destroy: destroy,
+				validate: function() {
+					return false;
+				},
+				validateOnAcquire: false,
+				validateOnRelease: true
+			});
+
+			let slot = await pool.acquire();
+
+			await pool.release(slot);
+
+			expect(destroy).to.have.been.calledWith(slot);
+			expect(pool.idle).to.equal(0);
+			expect(pool.count).to.equal(0);
+		});
+
+		it('should keep released objects that pass validation', async function() {
+			let pool = new Pool({
+				validate: function() {
+					return true;
+				},
+				validateOnRelease: true
+			});
+
+			let slot = await pool.acquire();
+
+			await pool.release(slot);
+
+			expect(pool.idle).to.equal(1);
+		});
+	});
+
+	describe('weight', function() {
+		it('should only issue acquisition requests whose combined weight fits in `max`', async function() {
+			let pool = new Pool({
+				max: 10
+			});
+
+			let first = await pool.acquire({
+				weight: 6
+			});
+
+			let second = pool.acquire({
+				weight: 5
+			});
+
+			expect(pool.waiting).to.equal(1);
+
+			await pool.release(first);
+			await second;
+
+			expect(pool.units).to.equal(5);
+		});
+
+		it('should reject acquisition requests that are heavier than `max`', async function() {
+			let pool = new Pool({
+				max: 10
+			});
+
+			await expect(pool.acquire({
+				weight: 11
+			})).to.be.rejectedWith(Pool.WeightError);
+		});
+
+		it('should reject waiting acquisition requests that become heavier than a lowered `max`', async function() {
+			let pool = new Pool({
+				max: 3
+			});
+
+			let slot = await pool.acquire();
+			let heavy = pool.acquire({
+				weight: 3
+			});
+			let light = pool.acquire();
+
+			pool.max = 2;
+
+			await expect(heavy).to.be.rejectedWith(Pool.WeightError);
+
+			expect(pool.waiting).to.equal(0);
+
+			await pool.release(slot);
+			await light;
+		});
+
+		it('should hold up lighter requests behind a heavier one by default', async function() {
+			let pool = new Pool({
+				max: 10
+			});
+
+			let slot = await pool.acquire({
+				weight: 6
+			});
+
+			let heavy = pool.acquire({
+				weight: 8
+			});
+
+			pool.acquire({
+				weight: 2
+			});
+
+			expect(pool.units).to.equal(6);
+			expect(pool.waiting).to.equal(2);
+
+			await pool.release(slot);
+			await heavy;
+
+			expect(pool.units).to.equal(10);
+		});
+
+		it('should let lighter requests overtake a heavier one without head-of-line blocking', async function() {
+			let pool = new Pool({
+				headOfLineBlocking: false,
+				max: 10
+			});
+
+			await pool.acquire({
+				weight: 6
+			});
+
+			pool.acquire({
+				weight: 8
+			});
+
+			await pool.acquire({
+				weight: 2
+			});
+			await pool.acquire({
+				weight: 2
+			});
+
+			expect(pool.units).to.equal(10);
+			expect(pool.waiters()).to.have.lengthOf(1);
+			expect(pool.waiters()[0].weight).to.equal(8);
+		});
+
+		it('should avoid the deadlock of acquiring multiple slots in a loop', async function() {
+			let pool = new Pool({
+				max: 4
+			});
+
+			let jobs = [1, 2, 3, 4].map(function() {
+				return pool.use(function() {
+					return new Promise(function(resolve) {
+						setTimeout(resolve, 1);
+					});
+				}, {
+					weight: 3
+				});
+			});
+
+			await Promise.all(jobs);
+
+			expect(pool.units).to.equal(0);
+		});
+	});
+
+	describe('instance property', function() {
+		describe('borrowedCount', function() {
+			it('should count issued objects but not those still being created', async function() {
+				let pool = new Pool({
+					create: function() {
+						return wait(5, {});
+					}
+				});
+
+				let pending = pool.acquire();
+
+				expect(pool.count).to.equal(1);
+				expect(pool.borrowedCount).to.equal(0);
+
+				let slot = await pending;
+
+				expect(pool.borrowedCount).to.equal(1);
+				expect(pool.stats().borrowed).to.equal(1);
+
+				await pool.release(slot);
+
+				expect(pool.borrowedCount).to.equal(0);
+			});
+		});
+
+		describe('count', function() {
+			it('should indicate the number of allocated acquisition requests before any requests have been made', function() {
+				let pool = new Pool();
+
+				expect(pool.count).to.equal(0);
+			});
+
+			it('should indicate the number of allocated acquisition requests after a basic request has been made', async function() {
+				let pool = new Pool();
+
+				await pool.acquire();
+
+				expect(pool.count).to.equal(1);
+			});
+
+			it('should correct indicate the number of allocated acquisition requests if the maximum has been exceeded', function() {
+				const MAX = 1;
+				const COUNT = 10;
+
+				let pool = new Pool({
+					max: MAX
+				});
+
+				for (let i = 0; i < COUNT; i++) {
+					pool.acquire();
+				}
+
+				expect(pool.count).to.equal(MAX);
+			});
+
+			it('should indicate the correct number of outstanding, fulfilled acquisition requests when there are none remaining', async function() {
+				let pool = new Pool();
+				let slot = await pool.acquire();
+
+				await pool.release(slot);
+
+				expect(pool.count).to.equal(0);
+			});
+		});
+
+		describe('draining', function() {
+			it('should return `false` before the pool has been marked for draining', async function() {
+				let pool = new Pool();
+
+				expect(pool.draining).to.be.false;
+			});
+
+			it('should return `true` if the pool is currently draining', async function() {
+				let pool = new Pool();
+
+				await pool.acquire();
+				pool.drain();
+
+				expect(pool.draining).to.be.true;
+			});
+
+			it('should return `false` if the pool is completely drained', async function() {
+				let pool = new Pool();
+				let slot = await pool.acquire();
+
+				pool.release(slot);
+				await pool.drain();
+
+				expect(pool.draining).to.be.false;
+			});
+		});
+
+		describe('idle', function() {
+			it('should indicate the number of released objects kept for reuse', async function() {
+				let pool = new Pool();
+				let slot = await pool.acquire();
+
+				expect(pool.idle).to.equal(0);
+
+				await pool.release(slot);
+
+				expect(pool.idle).to.equal(1);
+			});
+		});
+
+		describe('max', function() {
+			it('should indicate the current maximum concurrent slots', function() {
+				const MAX = 5;
+
+				let pool = new Pool({
+					max: MAX
+				});
+
+				expect(pool.max).to.equal(MAX);
+			});
+
+			it('should permit and maintain changes', function() {
+				const OLD_MAX = 1;
+				const NEW_MAX = 5;
+
+				let pool = new Pool({
+					max: OLD_MAX
+				});
+
+				expect(pool.max).to.equal(OLD_MAX);
+
+				pool.max = NEW_MAX;
+
+				expect(pool.max).to.equal(NEW_MAX);
+			});
+
+			it('should respond to dynamic increases, fulfilling acquisition requests as appropriate', async function() {
+				const MAX = 1;
+
+				let pool = new Pool({
+					max: MAX
+				});
+
+				let slot1 = pool.acquire();
+				let slot2 = pool.acquire();
+
+				let result = Promise.all([
+					slot1,
+					slot2
+				]);
+
+				pool.max = MAX + 1;
+
+				await result;
+			});
+		});
+
+		describe('min', function() {
+			it('should default to 0', function() {
+				let pool = new Pool();
+
+				expect(pool.min).to.equal(0);
+			});
+
+			it('should eagerly create the minimum number of objects', async function() {
+				let create = sinon.spy(function() {
+					return {};
+				});
+
+				let pool = new Pool({
+					create: create,
+					max: 5,
+					min: 3
+				});
+
+				await pool.ready();
+
+				expect(create).to.have.been.calledThrice;
+				expect(pool.idle).to.equal(3);
+				expect(pool.count).to.equal(0);
+			});
+
+			it('should not exceed `max`', async function() {
+				let pool = new Pool({
+					max: 2,
+					min: 5
+				});
+
+				await pool.ready();
+
+				expect(pool.idle).to.equal(2);
+			});
+
+			it('should issue warm objects to acquisition requests instead of creating new ones', async function() {
+				let create = sinon.spy(function() {
+					return new Promise(function(resolve) {
+						setTimeout(resolve, 5, {});
+					});
+				});
+
+				let pool = new Pool({
+					create: create,
+					max: 1,
+					min: 1
+				});
+
+				await pool.acquire();
+
+				expect(create).to.have.been.calledOnce;
+			});
+
+			it('should replace destroyed objects in the background', async function() {
+				let pool = new Pool({
+					max: 5,
+					min: 2
+				});
+
+				await pool.ready();
+
+				let slot = await pool.acquire();
+
+				await pool.release(slot, {
+					destroy: true
+				});
+
+				await new Promise(setImmediate);
+
+				expect(pool.count + pool.idle).to.equal(2);
+			});
+
+			it('should retry failed creations with backoff', async function() {
+				let attempts = 0;
+
+				let pool = new Pool({
+					create: function() {
+						attempts++;
+
+						if (attempts === 1) {
+							throw new Error('foo');
+						}
+
+						return {};
+					},
+					max: 1,
+					min: 1
+				});
+
+				let spy = sinon.spy();
+
+				pool.on('createError', spy);
+
+				await pool.ready();
+
+				expect(spy).to.have.been.calledOnce;
+				expect(attempts).to.equal(2);
+				expect(pool.idle).to.equal(1);
+			});
+		});
+
+		describe('paused', function() {
+			it('should return `false` before the pool has been paused', async function() {
+				let pool = new Pool();
+
+				expect(pool.paused).to.be.false;
+			});
+
+			it('should return `true` if the pool is currently paused', async function() {
+				let pool = new Pool();
+
+				await pool.pause();
+
+				expect(pool.paused).to.be.true;
+				expect(pool.state).to.equal(Pool.states.PAUSED);
+			});
+
+			it('should return `false` once the pool has been resumed', async function() {
+				let pool = new Pool();
+
+				await pool.pause();
+				await pool.resume();
+
+				expect(pool.paused).to.be.false;
+			});
+		});
+
+		describe('pending', function() {
+			it('should count the objects being created', async function() {
+				let pool = new Pool({
+					create: function() {
+						return new Promise(function(resolve) {
+							setTimeout(resolve, 5, {});
+						});
+					},
+					max: 2
+				});
+
+				let promise = pool.acquire();
+
+				expect(pool.pending).to.equal(1);
+
+				await promise;
+
+				expect(pool.pending).to.equal(0);
+			});
+		});
+
+		describe('rate', function() {
+			it('should be `null` when no rate limit is configured', function() {
+				let pool = new Pool();
+
+				expect(pool.rate).to.be.null;
+			});
+
+			it('should indicate the normalized rate limit', function() {
+				let pool = new Pool({
+					rate: {
+						limit: 5
+					}
+				});
+
+				expect(pool.rate).to.deep.equal({
+					burst: 5,
+					intervalMs: 1000,
+					limit: 5
+				});
+			});
+
+			it('should throttle acquisitions once the burst has been consumed', async function() {
+				let pool = new Pool({
+					max: 10,
+					rate: {
+						limit: 1,
+						intervalMs: 50,
+						burst: 2
+					}
+				});
+
+				let slots = [pool.acquire(), pool.acquire(), pool.acquire()];
+
+				await Promise.all(slots.slice(0, 2));
+
+				expect(pool.count).to.equal(2);
+				expect(pool.waiting).to.equal(1);
+
+				let started = Date.now();
+
+				await slots[2];
+
+				expect(Date.now() - started).to.be.at.least(30);
+			});
+
+			it('should permit changes at runtime, fulfilling acquisition requests as appropriate', async function() {
+				let pool = new Pool({
+					max: 10,
+					rate: {
+						limit: 1,
+						intervalMs: 60000
+					}
+				});
+
+				await pool.acquire();
+
+				let pending = pool.acquire();
+
+				expect(pool.waiting).to.equal(1);
+
+				pool.rate = {
+					limit: 10,
+					intervalMs: 1
+				};
+
+				await pending;
+
+				pool.rate = null;
+
+				expect(pool.rate).to.be.null;
+
+				await pool.acquire();
+			});
+
+			it('should emit `rate` when the rate limit changes', function() {
+				let pool = new Pool();
+				let spy = sinon.spy();
+
+				pool.on('rate', spy);
+				pool.rate = {
+					limit: 2
+				};
+
+				expect(spy).to.have.been.calledOnce;
+				expect(spy.firstCall.args[0].previous).to.be.null;
+				expect(spy.firstCall.args[0].rate).to.include({
+					limit: 2
+				});
+			});
+		});
+
+		describe('state', function() {
+			it('should indicate the current state of the pool when active', function() {
+				let pool = new Pool();
+
+				expect(pool.state).to.equal(Pool.states.ACTIVE);
+			});
+
+			it('should indicate the current state of the pool when inactive', async function() {
+				let pool = new Pool();
+
+				await pool.drain();
+
+				expect(pool.state).to.equal(Pool.states.INACTIVE);
+			});
+
+			it('should indicate the current state of the pool when draining', async function() {
+				let pool = new Pool();
+
+				await pool.acquire();
+				pool.drain();
+
+				expect(pool.state).to.equal(Pool.states.DRAINING);
+			});
+		});
+
+		describe('units', function() {
+			it('should indicate the combined weight of the issued work slots', async function() {
+				let pool = new Pool({
+					max: 10
+				});
+
+				let slot = await pool.acquire({
+					weight: 4
+				});
+
+				await pool.acquire();
+
+				expect(pool.count).to.equal(2);
+				expect(pool.units).to.equal(5);
+
+				await pool.release(slot);
+
+				expect(pool.units).to.equal(1);
+			});
+
+			it('should return the weight of failed acquisition requests', async function() {
+				let pool = new Pool({
+					create: function() {
+						throw new Error('foo');
+					},
+					max: 10
+				});
+
+				await expect(pool.acquire({
+					weight: 4
+				})).to.be.rejectedWith('foo');
+
+				expect(pool.units).to.equal(0);
+			});
+		});
+
+		describe('waiting', function() {
+			it('should indicate the number of pending acquisition requests', async function() {
+				const MAX = 1;
+				const COUNT = 10;
+
+				let pool = new Pool({
+					max: MAX
+				});
+
+				await pool.acquire();
+
+				for (let i = 1; i < COUNT; i++) {
+					pool.acquire();
+				}
+
+				expect(pool.waiting).to.equal(COUNT - MAX);
+			});
+		});
+	});
+
+	describe('instance method', function() {
+		describe('acquire', function() {
+			it('should supply work slots', async function() {
+				let pool = new Pool();
+
+				await pool.acquire();
+			});
+
+			it('should supply work slots up to a specific `max` cap', async function() {
+				const MAX = 1;
+
+				let pool = new Pool({
+					max: MAX
+				});
+
+				await pool.acquire();
+
+				let acquisition = pool.acquire();
+				let spy = sinon.spy();
+
+				acquisition
+					.then(function() {
+						spy();
+					});
+
+				await expect(spy).to.not.have.been.called;
+			});
+
+			it('should reuse idle objects before creating new ones', async function() {
+				let create = sinon.spy(function() {
+					return {};
+				});
+
+				let pool = new Pool({
+					create: create
+				});
+
+				let obj1 = await pool.acquire();
+
+				await pool.release(obj1);
+
+				let obj2 = await pool.acquire();
+
+				expect(obj2).to.equal(obj1);
+				expect(create).to.have.been.calledOnce;
+				expect(pool.idle).to.equal(0);
+			});
+
+			it('should accept the priority as part of a configuration object', async function() {
+				const MAX = 1;
+
+				let pool = new Pool({
+					max: MAX
+				});
+
+				let slot = await pool.acquire();
+				let low = pool.acquire({
+					priority: 1
+				});
+				let high = pool.acquire({
+					priority: 5
+				});
+				let spy = sinon.spy();
+
+				low.then(spy);
+
+				await pool.release(slot);
+				await high;
+
+				expect(spy).to.not.have.been.called;
+			});
+
+			it('should reject queued acquisition requests with a `TimeoutError` after `acquireTimeoutMs`', async function() {
+				const MAX = 1;
+
+				let pool = new Pool({
+					max: MAX,
+					acquireTimeoutMs: 10
+				});
+
+				await pool.acquire();
+
+				let promise = pool.acquire();
+
+				expect(pool.waiting).to.equal(1);
+
+				await expect(promise).to.be.rejectedWith(Pool.TimeoutError);
+
+				expect(pool.waiting).to.equal(0);
+			});
+
+			it('should permit overriding the acquisition timeout per request', async function() {
+				const MAX = 1;
+
+				let pool = new Pool({
+					max: MAX,
+					acquireTimeoutMs: 10000
+				});
+
+				await pool.acquire();
+
+				let promise = pool.acquire({
+					timeout: 10
+				});
+
+				return expect(promise).to.be.rejectedWith(Pool.TimeoutError, 'Acquisition timed out.');
+			});
+
+			it('should not time out acquisition requests that are fulfilled', async function() {
+				const MAX = 1;
+
+				let pool = new Pool({
+					max: MAX,
+					acquireTimeoutMs: 20
+				});
+
+				let slot = await pool.acquire();
+				let promise = pool.acquire();
+
+				await pool.release(slot);
+
+				expect(await promise).to.equal(slot);
+
+				await new Promise(function(resolve) {
+					setTimeout(resolve, 30);
+				});
+
+				expect(pool.count).to.equal(1);
+			});
+
+			it('should skip timed out acquisition requests when fulfilling the queue', async function() {
+				const MAX = 1;
+
+				let pool = new Pool({
+					max: MAX
+				});
+
+				let slot = await pool.acquire();
+				let first = pool.acquire({
+					timeout: 10
+				});
+				let second = pool.acquire();
+				let third = pool.acquire();
+
+				await expect(first).to.be.rejectedWith(Pool.TimeoutError);
+
+				expect(pool.waiting).to.equal(2);
+
+				await pool.release(slot);
+				await Promise.race([second, third]);
+
+				expect(pool.count).to.equal(1);
+				expect(pool.waiting).to.equal(1);
+			});
+
+			it('should reject immediately with an `AbortError` if the signal has already fired', async function() {
+				let pool = new Pool();
+				let controller = abortable();
+
+				controller.abort();
+
+				let promise = pool.acquire({
+					signal: controller.signal
+				});
+
+				await expect(promise).to.be.rejectedWith(Pool.AbortError, 'Acquisition was aborted.');
+
+				expect(pool.count).to.equal(0);
+			});
+
+			it('should withdraw queued acquisition requests when the signal fires', async function() {
+				const MAX = 1;
+
+				let pool = new Pool({
+					max: MAX
+				});
+
+				let controller = abortable();
+				let slot = await pool.acquire();
+				let aborted = pool.acquire({
+					signal: controller.signal
+				});
+				let pending = pool.acquire();
+
+				expect(pool.waiting).to.equal(2);
+
+				controller.abort();
+
+				await expect(aborted).to.be.rejectedWith(Pool.AbortError);
+
+				expect(pool.waiting).to.equal(1);
+
+				await pool.release(slot);
+
+				expect(await pending).to.equal(slot);
+				expect(pool.waiting).to.equal(0);
+			});
+
+			it('should release objects whose creation finishes after the signal fires', async function() {
+				let resolve;
+				let controller = abortable();
+
+				let pool = new Pool({
+					create: function() {
+						return new Promise(function(fn) {
+							resolve = fn;
+						});
+					}
+				});
+
+				let promise = pool.acquire({
+					signal: controller.signal
+				});
+
+				expect(pool.count).to.equal(1);
+
+				controller.abort();
+				resolve({});
+
+				await expect(promise).to.be.rejectedWith(Pool.AbortError);
+
+				expect(pool.count).to.equal(0);
+				expect(pool.idle).to.equal(1);
+			});
+
+			it('should ignore the signal once the acquisition request is fulfilled', async function() {
+				let pool = new Pool();
+				let controller = abortable();
+
+				await pool.acquire({
+					signal: controller.signal
+				});
+
+				controller.abort();
+
+				expect(pool.count).to.equal(1);
+			});
+
+			it('should continue to supply work slots after preceding slots have been released', async function() {
+				const MAX = 1;
+
+				let pool = new Pool({
+					max: MAX
+				});
+
+				let slot1 = pool.acquire();
+				let slot2 = pool.acquire();
+
+				slot1.then(function(slot) {
+					pool.release(slot);
+				});
+
+				await Promise.all([
+					slot1,
+					slot2
+				]);
+			});
+
+			describe('scheduler', function() {
+				async function order(pool, requests) {
+					let served = [];
+					let slot = await pool.acquire();
+
+					let pending = requests.map(function(request) {
+						return pool.acquire(request).then(function(slot) {
+							served.push(request.name);
+							pool.release(slot);
+						});
+					});
+
+					await pool.release(slot);
+					await Promise.all(pending);
+
+					return served;
+				}
+
+				it('should serve equal priorities in the order they were requested by default', async function() {
+					let requests = [];
+
+					for (let i = 0; i < 20; i++) {
+						requests.push({
+							name: i,
+							priority: 1
+						});
+					}
+
+					expect(await order(new Pool(), requests)).to.deep.equal(requests.map(function(request) {
+						return request.name;
+					}));
+				});
+
+				it('should serve the most recent request within a priority level first with `lifo`', async function() {
+					let pool = new Pool({
+						scheduler: Pool.schedulers.LIFO
+					});
+
+					let served = await order(pool, [{
+						name: 'a',
+						priority: 1
+					}, {
+						name: 'b',
+						priority: 1
+					}, {
+						name: 'c',
+						priority: 2
+					}]);
+
+					expect(served).to.deep.equal(['c', 'b', 'a']);
+				});
+
+				it('should share service between tenants in proportion to their weights with `fair`', async function() {
+					let pool = new Pool({
+						scheduler: Pool.schedulers.FAIR,
+						tenants: {
+							batch: 1,
+							web: 2
+						}
+					});
+
+					let requests = [];
+
+					for (let i = 0; i < 4; i++) {
+						requests.push({
+							name: 'batch',
+							tenant: 'batch'
+						});
+					}
+
+					for (let i = 0; i < 4; i++) {
+						requests.push({
+							name: 'web',
+							tenant: 'web'
+						});
+					}
+
+					expect(await order(pool, requests)).to.deep.equal([
+						'batch', 'web', 'web', 'batch', 'web', 'web', 'batch', 'batch'
+					]);
+				});
+			});
+		});
+
+		describe('borrowed', function() {
+			it('should describe the issued objects', async function() {
+				let pool = new Pool({
+					max: 2
+				});
+
+				let slot = await pool.acquire();
+
+				await pool.release(await pool.acquire());
+
+				let borrowed = pool.borrowed();
+
+				expect(borrowed).to.have.lengthOf(1);
+				expect(borrowed[0].object).to.equal(slot);
+				expect(borrowed[0].heldMs).to.be.a('number');
+				expect(borrowed[0].issued).to.be.a('number');
+				expect(borrowed[0].stack).to.be.undefined;
+			});
+
+			it('should include where objects were acquired when leak detection is enabled', async function() {
+				let pool = new Pool({
+					leakDetectionMs: 60000
+				});
+
+				await pool.acquire();
+
+				expect(pool.borrowed()[0].stack).to.include('test/pool.js');
+			});
+		});
+
+		describe('close', function() {
+			it('should drain the pool and move it to the closed state', async function() {
+				let destroy = sinon.spy();
+				let listener = sinon.spy();
+
+				let pool = new Pool({
+					destroy: destroy
+				});
+
+				pool.on('close', listener);
+
+				let slot = await pool.acquire();
+
+				await pool.release(slot);
+				await pool.close();
+
+				expect(pool.state).to.equal(Pool.states.CLOSED);
+				expect(destroy).to.have.been.calledWith(slot);
+				expect(listener).to.have.been.calledOnce;
+			});
+
+			it('should reject acquisition requests once closed', async function() {
+				let pool = new Pool();
+
+				await pool.close();
+
+				await expect(pool.acquire()).to.be.rejectedWith(Pool.PoolClosedError, 'Pool is closed.');
+			});
+
+			it('should not be resumable', async function() {
+				let pool = new Pool();
+
+				await pool.acquire();
+
+				let closing = pool.close();
+
+				await expect(pool.resume()).to.be.rejectedWith(Pool.PoolClosedError);
+
+				await pool.close({
+					force: true
+				});
+				await closing;
+				await expect(pool.resume()).to.be.rejectedWith(Pool.PoolClosedError);
+
+				expect(pool.state).to.equal(Pool.states.CLOSED);
+			});
+
+			it('should not be resumable while its idle objects are being destroyed', async function() {
+				let destroyed;
+
+				let pool = new Pool({
+					destroy: function() {
+						return new Promise(function(resolve) {
+							destroyed = resolve;
+						});
+					}
+				});
+
+				await pool.release(await pool.acquire());
+
+				let closing = pool.close();
+
+				expect(pool.state).to.equal(Pool.states.INACTIVE);
+
+				await expect(pool.resume()).to.be.rejectedWith(Pool.PoolClosedError);
+
+				destroyed();
+				await closing;
+
+				expect(pool.state).to.equal(Pool.states.CLOSED);
+			});
+
+			it('should stop the timers of the pool', async function() {
+				let pool = new Pool({
+					aging: true,
+					evictionIntervalMs: 5,
+					idleTimeoutMs: 10
+				});
+
+				let clear = sinon.spy(global, 'clearInterval');
+
+				try {
+					await pool.destroy();
+				}
+				finally {
+					clear.restore();
+				}
+
+				expect(clear).to.have.been.calledTwice;
+				expect(pool.state).to.equal(Pool.states.CLOSED);
+			});
+
+			it('should close with force while a creation is failing and being retried', async function() {
+				let pool = new Pool({
+					create: function() {
+						throw new Error('create');
+					},
+					retry: {
+						attempts: 3,
+						jitter: false,
+						minDelayMs: 10
+					}
+				});
+
+				let pending = pool.acquire();
+
+				await pool.close({
+					force: true,
+					timeout: 5
+				});
+
+				await expect(pending).to.be.rejectedWith(Pool.PoolClosedError);
+
+				expect(pool.count).to.equal(0);
+				expect(pool.state).to.equal(Pool.states.CLOSED);
+			});
+		});
+
+		describe('drain', function() {
+			it('should drain outstanding acquisition requests while still allowing them to finish', async function() {
+				const MAX = 1;
+
+				let pool = new Pool({
+					max: MAX
+				});
+
+				let slot = await pool.acquire();
+				let draining = pool.drain();
+
+				pool.release(slot);
+
+				let drain = await draining;
+
+				expect(drain).to.be.undefined;
+			});
+
+			it('should destroy idle objects', async function() {
+				let destroy = sinon.spy();
+
+				let pool = new Pool({
+					destroy: destroy
+				});
+
+				let slot = await pool.acquire();
+
+				await pool.release(slot);
+				await pool.drain();
+
+				expect(destroy).to.have.been.calledWith(slot);
+				expect(pool.idle).to.equal(0);
+			});
+
+			it('should destroy objects released while draining', async function() {
+				let destroy = sinon.spy();
+
+				let pool = new Pool({
+					destroy: destroy
+				});
+
+				let slot = await pool.acquire();
+				let draining = pool.drain();
+
+				await pool.release(slot);
+				await draining;
+
+				expect(destroy).to.have.been.calledWith(slot);
+				expect(pool.idle).to.equal(0);
+			});
+
+			it('should reject acquisition requests when draining', async function() {
+				const MAX = 1;
+
+				let pool = new Pool({
+					max: MAX
+				});
+
+				await pool.acquire();
+				pool.drain();
+
+				let promise = pool.acquire();
+
+				return expect(promise).to.be.rejectedWith(Error, 'Pool is draining.');
+			});
+
+			it('should reject acquisition requests after draining', async function() {
+				const MAX = 1;
+
+				let pool = new Pool({
+					max: MAX
+				});
+
+				let slot = await pool.acquire();
+				let draining = pool.drain();
+
+				pool.release(slot);
+
+				await draining;
+
+				let promise = pool.acquire();
+
+				return expect(promise).to.be.rejectedWith(Error, 'Pool is not active.');
+			});
+
+			it('should finish draining when the creation of an outstanding object fails', async function() {
+				let pool = new Pool({
+					create: function() {
+						return Promise.reject(new Error('create'));
+					}
+				});
+
+				let pending = pool.acquire();
+
+				await pool.drain();
+				await expect(pending).to.be.rejectedWith(Pool.CreateError);
+
+				expect(pool.count).to.equal(0);
+				expect(pool.state).to.equal(Pool.states.INACTIVE);
+			});
+
+			it('should reject waiting acquisition requests', async function() {
+				let pool = new Pool();
+
+				let slot = await pool.acquire();
+				let waiting = pool.acquire();
+				let draining = pool.drain();
+
+				await expect(waiting).to.be.rejectedWith(Pool.PoolClosedError);
+
+				expect(pool.waiting).to.equal(0);
+
+				await pool.release(slot);
+				await draining;
+			});
+
+			it('should reject with a `TimeoutError` if the pool does not drain in time', async function() {
+				let pool = new Pool();
+
+				let slot = await pool.acquire();
+
+				await expect(pool.drain({
+					timeout: 5
+				})).to.be.rejectedWith(Pool.TimeoutError, 'Pool did not drain in time.');
+
+				expect(pool.state).to.equal(Pool.states.DRAINING);
+
+				let draining = pool.drain();
+
+				await pool.release(slot);
+				await draining;
+			});
+
+			it('should destroy outstanding objects once the timeout elapses when forced', async function() {
+				let destroy = sinon.spy();
+
+				let pool = new Pool({
+					destroy: destroy,
+					max: 2
+				});
+
+				let a = await pool.acquire();
+				let b = await pool.acquire();
+
+				await pool.release(a);
+
+				let draining = pool.drain({
+					force: true,
+					timeout: 10
+				});
+
+				await wait(1);
+
+				expect(destroy).to.have.been.calledOnce;
+
+				await draining;
+
+				expect(destroy).to.have.been.calledWith(b);
+				expect(pool.count).to.equal(0);
+				expect(pool.state).to.equal(Pool.states.INACTIVE);
+			});
+
+			it('should destroy objects that are still being created when forced', async function() {
+				let destroy = sinon.spy();
+
+				let pool = new Pool({
+					create: function() {
+						return wait(10).then(function() {
+							return {};
+						});
+					},
+					destroy: destroy
+				});
+
+				let pending = pool.acquire();
+
+				await wait(1);
+				await pool.drain({
+					force: true
+				});
+
+				await expect(pending).to.be.rejectedWith(Pool.PoolClosedError);
+				await wait(15);
+
+				expect(destroy).to.have.been.calledOnce;
+				expect(pool.borrowed()).to.be.empty;
+			});
+
+			it('should not wait for objects whose creation never finishes when forced', async function() {
+				let pool = new Pool({
+					create: function() {
+						return new Promise(function() {});
+					}
+				});
+
+				let pending = pool.acquire();
+
+				await pool.close({
+					force: true,
+					timeout: 20
+				});
+
+				await expect(pending).to.be.rejectedWith(Pool.PoolClosedError);
+
+				expect(pool.count).to.equal(0);
+				expect(pool.state).to.equal(Pool.states.CLOSED);
+			});
+		});
+
+		describe('map', function() {
+			it('should resolve with the results in source order', async function() {
+				let pool = new Pool({
+					max: 3
+				});
+
+				let results = await pool.map([30, 10, 20], function(ms) {
+					return wait(ms, ms);
+				});
+
+				expect(results).to.deep.equal([30, 10, 20]);
+			});
+
+			it('should resolve with the results in completion order when `ordered` is false', async function() {
+				let pool = new Pool({
+					max: 3
+				});
+
+				let results = await pool.map([30, 10, 20], function(ms) {
+					return wait(ms, ms);
+				}, {
+					ordered: false
+				});
+
+				expect(results).to.deep.equal([10, 20, 30]);
+			});
+
+			it('should not exceed the maximum concurrency of the pool', async function() {
+				let running = 0;
+				let peak = 0;
+
+				let pool = new Pool({
+					max: 2
+				});
+
+				await pool.map([1, 2, 3, 4, 5, 6], async function() {
+					running++;
+					peak = Math.max(peak, running);
+
+					await wait(5);
+
+					running--;
+				});
+
+				expect(peak).to.equal(2);
+			});
+
+			it('should pass each item and the acquired object to the function', async function() {
+				let pool = new Pool();
+
+				let results = await pool.map(['a'], function(item, slot) {
+					return [item, slot];
+				});
+
+				expect(results[0][0]).to.equal('a');
+				expect(results[0][1]).to.be.an('object');
+			});
+
+			it('should pull lazily from async iterables', async function() {
+				let pulled = 0;
+
+				let source = {
+					[Symbol.asyncIterator]: function() {
+						return {
+							next: function() {
+								return Promise.resolve({
+									done: false,
+									value: pulled++
+								});
+							}
+						};
+					}
+				};
+
+				let pool = new Pool({
+					max: 2
+				});
+
+				let iterator = pool.map(source, function(i) {
+					return i * 2;
+				})[Symbol.asyncIterator]();
+
+				let results = [];
+
+				for (let i = 0; i < 3; i++) {
+					results.push((await iterator.next()).value);
+				}
+
+				await iterator.return();
+
+				expect(results).to.deep.equal([0, 2, 4]);
+				expect(pulled).to.be.at.most(5);
+			});
+
+			it('should do no work until it is awaited or iterated', async function() {
+				let spy = sinon.spy();
+				let pool = new Pool();
+				let mapping = pool.map([1, 2], spy);
+
+				await pool.onIdle();
+
+				expect(spy).to.not.have.been.called;
+
+				await mapping;
+
+				expect(spy).to.have.been.calledTwice;
+			});
+
+			it('should reject with the first error and stop pulling items', async function() {
+				let calls = 0;
+
+				let pool = new Pool({
+					max: 1
+				});
+
+				let promise = pool.map([1, 2, 3], function(i) {
+					calls++;
+
+					if (i === 2) {
+						throw new Error('foo');
+					}
+				});
+
+				await expect(promise).to.be.rejectedWith(Error, 'foo');
+
+				expect(calls).to.equal(2);
+			});
+
+			it('should throw an error from the async iterator at the failing position', async function() {
+				let pool = new Pool();
+				let results = [];
+
+				let iterator = pool.map([1, 2, 3], function(i) {
+					if (i === 2) {
+						throw new Error('foo');
+					}
+
+					return i;
+				})[Symbol.asyncIterator]();
+
+				let iterate = async function() {
+					for (let result = await iterator.next(); !result.done; result = await iterator.next()) {
+						results.push(result.value);
+					}
+				};
+
+				await expect(iterate()).to.be.rejectedWith(Error, 'foo');
+
+				expect(results).to.deep.equal([1]);
+			});
+
+			it('should reject if the source is not iterable', function() {
+				let pool = new Pool();
+
+				expect(function() {
+					pool.map(1, function() {});
+				}).to.throw(TypeError);
+			});
+		});
+
+		describe('onIdle', function() {
+			it('should resolve immediately when there are no tasks', async function() {
+				let pool = new Pool();
+
+				await pool.onIdle();
+			});
+
+			it('should resolve once all queued and running tasks have finished', async function() {
+				let pool = new Pool({
+					max: 1
+				});
+
+				let finished = 0;
+
+				function task() {
+					return new Promise(function(resolve) {
+						setTimeout(function() {
+							finished++;
+							resolve();
+						}, 5);
+					});
+				}
+
+				pool.run(task);
+				pool.run(task);
+				pool.map([1, 2], task).then(function() {});
+
+				await pool.onIdle();
+
+				expect(finished).to.equal(4);
+			});
+		});
+
+		describe('pause', function() {
+			it('should queue acquisition requests without fulfilling them', async function() {
+				let pool = new Pool({
+					max: 2
+				});
+
+				await pool.pause();
+
+				let listener = sinon.spy();
+				let promise = pool.acquire();
+
+				promise.then(listener);
+
+				await new Promise(setImmediate);
+
+				expect(listener).to.not.have.been.called;
+				expect(pool.waiting).to.equal(1);
+				expect(pool.count).to.equal(0);
+
+				await pool.resume();
+				await promise;
+
+				expect(pool.waiting).to.equal(0);
+				expect(pool.count).to.equal(1);
+			});
+
+			it('should keep released objects idle for reuse after resuming', async function() {
+				let create = sinon.spy(function() {
+					return {};
+				});
+
+				let pool = new Pool({
+					create: create
+				});
+
+				let slot = await pool.acquire();
+				let waiting = pool.acquire();
+
+				await pool.pause();
+				await pool.release(slot);
+
+				expect(pool.idle).to.equal(1);
+				expect(pool.waiting).to.equal(1);
+
+				await pool.resume();
+
+				expect(await waiting).to.equal(slot);
+				expect(create).to.have.been.calledOnce;
+			});
+
+			it('should still time out queued acquisition requests', async function() {
+				let pool = new Pool();
+
+				await pool.pause();
+
+				await expect(pool.acquire({
+					timeout: 5
+				})).to.be.rejectedWith(Pool.TimeoutError);
+			});
+
+			it('should emit `pause`', async function() {
+				let listener = sinon.spy();
+				let pool = new Pool();
+
+				pool.on('pause', listener);
+
+				await pool.pause();
+				await pool.pause();
+
+				expect(listener).to.have.been.calledOnce;
+			});
+
+			it('should allow a paused pool to be drained', async function() {
+				let pool = new Pool();
+
+				await pool.pause();
+
+				let waiting = pool.acquire();
+
+				await pool.drain();
+				await expect(waiting).to.be.rejectedWith(Pool.PoolClosedError);
 
-				expect(pool.count).to.equal(MAX);
+				expect(pool.state).to.equal(Pool.states.INACTIVE);
 			});
 
-			it('should indicate the correct number of outstanding, fulfilled acquisition requests when there are none remaining', async function() {
+			it('should reject calls to a pool that is not active', async function() {
 				let pool = new Pool();
-				let slot = await pool.acquire();
 
-				await pool.release(slot);
-
-				expect(pool.count).to.equal(0);
+				await pool.drain();
+				await expect(pool.pause()).to.be.rejectedWith(Error, 'Invalid state.');
+				await pool.close();
+				await expect(pool.pause()).to.be.rejectedWith(Pool.PoolClosedError);
 			});
 		});
 
-		describe('draining', function() {
-			it('should return `false` before the pool has been marked for draining', async function() {
+		describe('ready', function() {
+			it('should resolve immediately without a minimum', async function() {
 				let pool = new Pool();
 
-				expect(pool.draining).to.be.false;
+				await pool.ready();
 			});
+		});
 
-			it('should return `true` if the pool is currently draining', async function() {
-				let pool = new Pool();
-
-				await pool.acquire();
-				pool.drain();
+		describe('release', function() {
+			it('should release acquisition request slots to prevent pool blocking', async function() {
+				const MAX = 1;
 
-				expect(pool.draining).to.be.true;
-			});
+				let pool = new Pool({
+					max: MAX
+				});
 
-			it('should return `false` if the pool is completely drained', async function() {
-				let pool = new Pool();
 				let slot = await pool.acquire();
+				let slot2 = pool.acquire();
 
-				pool.release(slot);
-				await pool.drain();
+				await pool.release(slot);
 
-				expect(pool.draining).to.be.false;
+				return expect(slot2).to.be.fulfilled;
 			});
-		});
 
-		describe('max', function() {
-			it('should indicate the current maximum concurrent slots', function() {
-				const MAX = 5;
+			it('should keep released objects idle instead of destroying them', async function() {
+				let destroy = sinon.spy();
 
 				let pool = new Pool({
-					max: MAX
+					destroy: destroy
 				});
 
-				expect(pool.max).to.equal(MAX);
+				let slot = await pool.acquire();
+
+				await pool.release(slot);
+
+				expect(destroy).to.not.have.been.called;
+				expect(pool.idle).to.equal(1);
 			});
 
-			it('should permit and maintain changes', function() {
-				const OLD_MAX = 1;
-				const NEW_MAX = 5;
+			it('should destroy released objects when explicitly requested', async function() {
+				let destroy = sinon.spy();
 
 				let pool = new Pool({
-					max: OLD_MAX
+					destroy: destroy
 				});
 
-				expect(pool.max).to.equal(OLD_MAX);
+				let slot = await pool.acquire();
 
-				pool.max = NEW_MAX;
+				await pool.release(slot, {
+					destroy: true
+				});
 
-				expect(pool.max).to.equal(NEW_MAX);
+				expect(destroy).to.have.been.calledWith(slot);
+				expect(pool.idle).to.equal(0);
+				expect(pool.count).to.equal(0);
 			});
 
-			it('should respond to dynamic increases, fulfilling acquisition requests as appropriate', async function() {
+			it('should hand released objects directly to pending acquisition requests', async function() {
 				const MAX = 1;
 
 				let pool = new Pool({
 					max: MAX
 				});
 
-				let slot1 = pool.acquire();
+				let slot1 = await pool.acquire();
 				let slot2 = pool.acquire();
 
-				let result = Promise.all([
-					slot1,
-					slot2
-				]);
+				await pool.release(slot1);
 
-				pool.max = MAX + 1;
+				expect(await slot2).to.equal(slot1);
+				expect(pool.idle).to.equal(0);
 
-				await result;
+				await pool.release(slot1);
+
+				expect(pool.idle).to.equal(1);
 			});
-		});
 
-		describe('state', function() {
-			it('should indicate the current state of the pool when active', function() {
+			it('should disallow releasing arbitrary acquisition that did not originate from the pool', async function() {
 				let pool = new Pool();
 
-				expect(pool.state).to.equal(Pool.states.ACTIVE);
+				let promise = pool.release({});
+
+				return expect(promise).to.be.rejectedWith(Error, 'Object was not obtained from this pool.');
 			});
 
-			it('should indicate the current state of the pool when inactive', async function() {
+			it('should resolve all calls to release simultaneously (e.g. reference the same Promise)', async function() {
 				let pool = new Pool();
 
-				await pool.drain();
+				let slot = await pool.acquire();
 
-				expect(pool.state).to.equal(Pool.states.INACTIVE);
+				let promise1 = pool.release(slot);
+				let promise2 = pool.release(slot);
+
+				return expect(promise1 === promise2).to.be.true;
 			});
+		});
 
-			it('should indicate the current state of the pool when draining', async function() {
+		describe('run', function() {
+			it('should resolve with the result of the task', async function() {
 				let pool = new Pool();
 
-				await pool.acquire();
-				pool.drain();
+				let result = await pool.run(function() {
+					return 'foo';
+				});
 
-				expect(pool.state).to.equal(Pool.states.DRAINING);
+				expect(result).to.equal('foo');
+				expect(pool.count).to.equal(0);
 			});
-		});
 
-		describe('waiting', function() {
-			it('should indicate the number of pending acquisition requests', async function() {
-				const MAX = 1;
-				const COUNT = 10;
+			it('should reject with the error of the task', async function() {
+				let pool = new Pool();
 
-				let pool = new Pool({
-					max: MAX
+				let promise = pool.run(function() {
+					throw new Error('foo');
 				});
 
-				await pool.acquire();
-
-				for (let i = 1; i < COUNT; i++) {
-					pool.acquire();
-				}
+				await expect(promise).to.be.rejectedWith(Error, 'foo');
 
-				expect(pool.waiting).to.equal(COUNT - MAX);
+				expect(pool.count).to.equal(0);
 			});
 		});
-	});
 
-	describe('instance method', function() {
-		describe('acquire', function() {
-			it('should supply work slots', async function() {
-				let pool = new Pool();
+		describe('stats', function() {
+			it('should report the current gauges', async function() {
+				let pool = new Pool({
+					max: 2
+				});
 
 				await pool.acquire();
-			});
 
-			it('should supply work slots up to a specific `max` cap', async function() {
-				const MAX = 1;
+				expect(pool.stats()).to.include({
+					count: 1,
+					idle: 0,
+					max: 2,
+					state: Pool.states.ACTIVE,
+					waiting: 0
+				});
+			});
 
+			it('should distinguish issued objects from those being created', async function() {
 				let pool = new Pool({
-					max: MAX
+					create: function() {
+						return new Promise(function(resolve) {
+							setTimeout(resolve, 5, {});
+						});
+					},
+					max: 2
 				});
 
 				await pool.acquire();
 
-				let acquisition = pool.acquire();
-				let spy = sinon.spy();
+				let promise = pool.acquire();
 
-				acquisition
-					.then(function() {
-						spy();
-					});
+				expect(pool.stats()).to.include({
+					borrowed: 1,
+					count: 2,
+					pending: 1
+				});
 
-				await expect(spy).to.not.have.been.called;
+				await promise;
 			});
 
-			it('should continue to supply work slots after preceding slots have been released', async function() {
-				const MAX = 1;
+			it('should count acquisitions and releases', async function() {
+				let pool = new Pool();
+
+				for (let i = 0; i < 3; i++) {
+					await pool.release(await pool.acquire());
+				}
 
+				expect(pool.stats()).to.include({
+					acquisitions: 3,
+					releases: 3
+				});
+			});
+
+			it('should count create and destroy failures', async function() {
 				let pool = new Pool({
-					max: MAX
+					create: function() {
+						throw new Error('create');
+					},
+					destroy: function() {
+						throw new Error('destroy');
+					}
 				});
 
-				let slot1 = pool.acquire();
-				let slot2 = pool.acquire();
+				await expect(pool.acquire()).to.be.rejected;
 
-				slot1.then(function(slot) {
-					pool.release(slot);
+				expect(pool.stats().createFailures).to.equal(1);
+
+				let failing = new Pool({
+					destroy: function() {
+						throw new Error('destroy');
+					}
 				});
 
-				await Promise.all([
-					slot1,
-					slot2
-				]);
+				let slot = await failing.acquire();
+
+				await expect(failing.release(slot, { destroy: true })).to.be.rejected;
+
+				expect(failing.stats().destroyFailures).to.equal(1);
 			});
-		});
 
-		describe('drain', function() {
-			it('should drain outstanding acquisition requests while still allowing them to finish', async function() {
+			it('should record the time acquisition requests waited and the time objects were held', async function() {
 				const MAX = 1;
 
 				let pool = new Pool({
@@ -254,112 +3194,175 @@ describe('Pool', function() {
 				});
 
 				let slot = await pool.acquire();
-				let draining = pool.drain();
+				let pending = pool.acquire();
 
-				pool.release(slot);
+				await new Promise(function(resolve) {
+					setTimeout(resolve, 20);
+				});
 
-				let drain = await draining;
+				await pool.release(slot);
+				await pending;
 
-				expect(drain).to.be.undefined;
+				let stats = pool.stats();
+
+				expect(stats.waitTime.count).to.equal(2);
+				expect(stats.waitTime.max).to.be.at.least(15);
+				expect(stats.holdTime.count).to.equal(1);
+				expect(stats.holdTime.max).to.be.at.least(15);
+				expect(stats.holdTime.p50).to.be.above(0);
+				expect(stats.holdTime).to.include.keys('p50', 'p95', 'p99', 'buckets', 'sum');
 			});
+		});
 
-			it('should reject acquisition requests when draining', async function() {
-				const MAX = 1;
+		describe('resume', function() {
+			it('should resolve calls to an active pool', async function() {
+				let pool = new Pool();
 
-				let pool = new Pool({
-					max: MAX
-				});
+				await pool.resume();
+			});
+
+			it('should resolve calls to an inactive pool', async function() {
+				let pool = new Pool();
+
+				await pool.drain();
+				await pool.resume();
+			});
+
+			it('should cancel the draining process when called on a draining pool before resuming', async function() {
+				let pool = new Pool();
 
 				await pool.acquire();
-				pool.drain();
 
-				let promise = pool.acquire();
+				let drain = pool.drain();
+				let resume = pool.resume();
 
-				return expect(promise).to.be.rejectedWith(Error, 'Pool is draining.');
+				return Promise.all([
+					expect(drain).to.be.rejectedWith(Error, 'Pool resumed before completely draining.'),
+					expect(resume).to.be.fulfilled
+				]);
 			});
+		});
 
-			it('should reject acquisition requests after draining', async function() {
-				const MAX = 1;
-
-				let pool = new Pool({
-					max: MAX
+		describe('use', function() {
+			it('should pass an acquired object to the function and resolve with its result', async function() {
+				let pool = new Pool();
+				let spy = sinon.spy(function() {
+					return 'foo';
 				});
 
-				let slot = await pool.acquire();
-				let draining = pool.drain();
+				let result = await pool.use(spy);
 
-				pool.release(slot);
+				expect(result).to.equal('foo');
+				expect(spy).to.have.been.calledOnce;
+				expect(pool.count).to.equal(0);
+				expect(pool.idle).to.equal(1);
+			});
 
-				await draining;
+			it('should release the object and reject with the error if the function throws', async function() {
+				let pool = new Pool();
+				let err = new Error('foo');
 
-				let promise = pool.acquire();
+				let promise = pool.use(function() {
+					throw err;
+				});
 
-				return expect(promise).to.be.rejectedWith(Error, 'Pool is not active.');
-			});
-		});
+				await expect(promise).to.be.rejectedWith(err);
 
-		describe('release', function() {
-			it('should release acquisition request slots to prevent pool blocking', async function() {
-				const MAX = 1;
+				expect(pool.count).to.equal(0);
+				expect(pool.idle).to.equal(1);
+			});
 
+			it('should release the object if an asynchronous function rejects', async function() {
 				let pool = new Pool({
-					max: MAX
+					max: 1
 				});
 
-				let slot = await pool.acquire();
-				let slot2 = pool.acquire();
+				let promise = pool.use(async function() {
+					throw new Error('foo');
+				});
 
-				await pool.release(slot);
+				await expect(promise).to.be.rejectedWith(Error, 'foo');
+				await pool.use(function() {});
 
-				return expect(slot2).to.be.fulfilled;
+				expect(pool.count).to.equal(0);
 			});
 
-			it('should disallow releasing arbitrary acquisition that did not originate from the pool', async function() {
-				let pool = new Pool();
+			it('should destroy the object on error when `destroyOnError` is set', async function() {
+				let destroy = sinon.spy();
 
-				let promise = pool.release({});
+				let pool = new Pool({
+					destroy: destroy
+				});
 
-				return expect(promise).to.be.rejectedWith(Error, 'Object was not obtained from this pool.');
+				let obj;
+				let promise = pool.use(function(slot) {
+					obj = slot;
+
+					throw new Error('foo');
+				}, {
+					destroyOnError: true
+				});
+
+				await expect(promise).to.be.rejectedWith(Error, 'foo');
+
+				expect(destroy).to.have.been.calledWith(obj);
+				expect(pool.idle).to.equal(0);
 			});
 
-			it('should resolve all calls to release simultaneously (e.g. reference the same Promise)', async function() {
-				let pool = new Pool();
+			it('should pass acquisition options through to `.acquire()`', async function() {
+				let pool = new Pool({
+					max: 1
+				});
 
-				let slot = await pool.acquire();
+				await pool.acquire();
 
-				let promise1 = pool.release(slot);
-				let promise2 = pool.release(slot);
+				let spy = sinon.spy();
+				let promise = pool.use(spy, {
+					priority: 5,
+					timeout: 10
+				});
 
-				return expect(promise1 === promise2).to.be.true;
+				await expect(promise).to.be.rejectedWith(Pool.TimeoutError);
+
+				expect(spy).to.not.have.been.called;
 			});
 		});
 
-		describe('resume', function() {
-			it('should resolve calls to an active pool', async function() {
+		describe('waiters', function() {
+			it('should describe the waiting acquisition requests in the order they were requested', async function() {
 				let pool = new Pool();
 
-				await pool.resume();
-			});
+				await pool.acquire();
+				pool.acquire(1);
+				pool.acquire({
+					priority: 3,
+					tenant: 'batch'
+				});
 
-			it('should resolve calls to an inactive pool', async function() {
-				let pool = new Pool();
+				let waiters = pool.waiters();
 
-				await pool.drain();
-				await pool.resume();
+				expect(waiters).to.have.lengthOf(2);
+				expect(waiters[0]).to.include({
+					effectivePriority: 1,
+					priority: 1
+				});
+				expect(waiters[1]).to.include({
+					effectivePriority: 3,
+					priority: 3,
+					tenant: 'batch'
+				});
+				expect(waiters[0].waitingMs).to.be.a('number');
 			});
 
-			it('should cancel the draining process when called on a draining pool before resuming', async function() {
+			it('should not include withdrawn acquisition requests', async function() {
 				let pool = new Pool();
 
 				await pool.acquire();
+				await expect(pool.acquire({
+					timeout: 1
+				})).to.be.rejectedWith(Pool.TimeoutError);
 
-				let drain = pool.drain();
-				let resume = pool.resume();
-
-				return Promise.all([
-					expect(drain).to.be.rejectedWith(Error, 'Pool resumed before completely draining.'),
-					expect(resume).to.be.fulfilled
-				]);
+				expect(pool.waiters()).to.deep.equal([]);
 			});
 		});
 	});
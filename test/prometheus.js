@@ -0,0 +1,90 @@
+'use strict';
+
+const http = require('http');
+
+const expect = require('chai').expect;
+
+const Pool = require('../main');
+const prometheus = require('../lib/prometheus');
+
+
+describe('prometheus', function() {
+	it('should render gauges and counters from a stats snapshot', async function() {
+		let pool = new Pool();
+		let slot = await pool.acquire();
+
+		await pool.release(slot);
+
+		let text = prometheus(pool.stats());
+
+		expect(text).to.contain('# TYPE poolq_count gauge\npoolq_count 0\n');
+		expect(text).to.contain('# TYPE poolq_idle gauge\npoolq_idle 1\n');
+		expect(text).to.contain('# TYPE poolq_acquisitions_total counter\npoolq_acquisitions_total 1\n');
+		expect(text).to.contain('poolq_releases_total 1\n');
+	});
+
+	it('should render histograms in seconds with cumulative buckets', async function() {
+		let pool = new Pool();
+
+		await pool.acquire();
+
+		let text = prometheus(pool.stats());
+
+		expect(text).to.contain('# TYPE poolq_wait_seconds histogram\n');
+		expect(text).to.contain('poolq_wait_seconds_bucket{le="0.001"} ');
+		expect(text).to.contain('poolq_wait_seconds_bucket{le="+Inf"} 1\n');
+		expect(text).to.contain('poolq_wait_seconds_count 1\n');
+		expect(text).to.contain('poolq_hold_seconds_count 0\n');
+	});
+
+	it('should apply the configured prefix and escaped labels', function() {
+		let pool = new Pool();
+
+		let text = prometheus(pool.stats(), {
+			prefix: 'db',
+			labels: {
+				pool: 'primary "a"'
+			}
+		});
+
+		expect(text).to.contain('db_count{pool="primary \\"a\\""} 0\n');
+		expect(text).to.contain('db_wait_seconds_bucket{pool="primary \\"a\\"",le="+Inf"} 0\n');
+	});
+
+	it('should be scrapable over HTTP', async function() {
+		let pool = new Pool();
+
+		await pool.acquire();
+
+		let server = http.createServer(function(req, res) {
+			res.setHeader('Content-Type', 'text/plain; version=0.0.4');
+			res.end(pool.prometheus());
+		});
+
+		await new Promise(function(resolve) {
+			server.listen(0, '127.0.0.1', resolve);
+		});
+
+		try {
+			let body = await new Promise(function(resolve, reject) {
+				http.get('http://127.0.0.1:' + server.address().port + '/metrics', function(res) {
+					let chunks = [];
+
+					res.on('data', function(chunk) {
+						chunks.push(chunk);
+					});
+
+					res.on('end', function() {
+						resolve(Buffer.concat(chunks).toString());
+					});
+				}).on('error', reject);
+			});
+
+			expect(body).to.contain('poolq_count 1\n');
+			expect(body).to.contain('poolq_acquisitions_total 1\n');
+		}
+		finally {
+			server.close();
+		}
+	});
+});
@@ -0,0 +1,271 @@
+'use strict';
+
+const expect = require('chai').expect;
+
+const scheduler = require('../lib/scheduler');
+
+
+function drain(queue) {
+	let entries = [];
+
+	while (queue.length > 0) {
+		entries.push(queue.dequeue().name);
+	}
+
+	return entries;
+}
+
+
+describe('PriorityScheduler', function() {
+	describe('instance method', function() {
+		describe('cancel', function() {
+			it('should skip cancelled entries', function() {
+				let queue = new scheduler.PriorityScheduler();
+				let entries = ['a', 'b', 'c', 'd'].map(function(name) {
+					return {
+						name: name,
+						priority: 1
+					};
+				});
+
+				entries.forEach(function(entry) {
+					queue.enqueue(entry);
+				});
+
+				queue.cancel(entries[1]);
+
+				expect(queue.length).to.equal(3);
+				expect(drain(queue)).to.deep.equal(['a', 'c', 'd']);
+			});
+
+			it('should rebuild the queue once cancelled entries are the majority', function() {
+				let queue = new scheduler.PriorityScheduler();
+				let entries = ['a', 'b', 'c'].map(function(name) {
+					return {
+						name: name,
+						priority: 1
+					};
+				});
+
+				entries.forEach(function(entry) {
+					queue.enqueue(entry);
+				});
+
+				queue.cancel(entries[0]);
+				queue.cancel(entries[2]);
+
+				expect(queue.queue.length).to.equal(1);
+				expect(drain(queue)).to.deep.equal(['b']);
+			});
+		});
+
+		describe('dequeue', function() {
+			it('should serve higher priorities first and equal priorities in the order they were queued', function() {
+				let queue = new scheduler.PriorityScheduler();
+
+				for (let i = 0; i < 20; i++) {
+					queue.enqueue({
+						name: i,
+						priority: i % 2
+					});
+				}
+
+				expect(drain(queue)).to.deep.equal([
+					1, 3, 5, 7, 9, 11, 13, 15, 17, 19,
+					0, 2, 4, 6, 8, 10, 12, 14, 16, 18
+				]);
+			});
+
+			it('should serve equal priorities in reverse order with the `lifo` comparator', function() {
+				let queue = new scheduler.PriorityScheduler(scheduler.lifo);
+
+				['a', 'b', 'c'].forEach(function(name) {
+					queue.enqueue({
+						name: name,
+						priority: 1
+					});
+				});
+
+				queue.enqueue({
+					name: 'd',
+					priority: 0
+				});
+
+				expect(drain(queue)).to.deep.equal(['c', 'b', 'a', 'd']);
+			});
+
+			it('should remove a particular entry without disturbing the order of the others', function() {
+				let queue = new scheduler.PriorityScheduler();
+				let entries = ['a', 'b', 'c'].map(function(name) {
+					return {
+						name: name,
+						priority: 1
+					};
+				});
+
+				entries.forEach(function(entry) {
+					queue.enqueue(entry);
+				});
+
+				expect(queue.dequeue(entries[1])).to.equal(entries[1]);
+				expect(drain(queue)).to.deep.equal(['a', 'c']);
+			});
+		});
+
+		describe('peek', function() {
+			it('should find the first acceptable entry without removing anything', function() {
+				let queue = new scheduler.PriorityScheduler();
+
+				[['a', 3], ['b', 1], ['c', 2]].forEach(function(item) {
+					queue.enqueue({
+						name: item[0],
+						priority: 1,
+						weight: item[1]
+					});
+				});
+
+				expect(queue.peek().name).to.equal('a');
+				expect(queue.peek(function(entry) {
+					return entry.weight < 3;
+				}).name).to.equal('b');
+				expect(queue.peek(function(entry) {
+					return entry.weight > 3;
+				})).to.be.null;
+				expect(drain(queue)).to.deep.equal(['a', 'b', 'c']);
+			});
+		});
+	});
+});
+
+
+describe('FairScheduler', function() {
+	describe('instance method', function() {
+		describe('cancel', function() {
+			it('should withdraw the entry from its tenant', function() {
+				let queue = new scheduler.FairScheduler();
+				let entry = {
+					name: 'a',
+					priority: 1,
+					tenant: 'x'
+				};
+
+				queue.enqueue(entry);
+				queue.enqueue({
+					name: 'b',
+					priority: 1,
+					tenant: 'y'
+				});
+				queue.cancel(entry);
+
+				expect(queue.length).to.equal(1);
+				expect(drain(queue)).to.deep.equal(['b']);
+			});
+		});
+
+		describe('dequeue', function() {
+			it('should alternate between tenants of equal weight', function() {
+				let queue = new scheduler.FairScheduler();
+
+				for (let i = 0; i < 4; i++) {
+					queue.enqueue({
+						name: 'x' + i,
+						priority: 1,
+						tenant: 'x'
+					});
+				}
+
+				queue.enqueue({
+					name: 'y0',
+					priority: 1,
+					tenant: 'y'
+				});
+
+				expect(drain(queue)).to.deep.equal(['x0', 'y0', 'x1', 'x2', 'x3']);
+			});
+
+			it('should serve tenants in proportion to their weights', function() {
+				let queue = new scheduler.FairScheduler({
+					x: 2
+				});
+
+				for (let i = 0; i < 3; i++) {
+					queue.enqueue({
+						name: 'x' + i,
+						priority: 1,
+						tenant: 'x'
+					});
+					queue.enqueue({
+						name: 'y' + i,
+						priority: 1,
+						tenant: 'y'
+					});
+				}
+
+				expect(drain(queue)).to.deep.equal(['x0', 'y0', 'x1', 'x2', 'y1', 'y2']);
+			});
+
+			it('should not let a tenant bank service while it is not waiting', function() {
+				let queue = new scheduler.FairScheduler();
+
+				for (let i = 0; i < 3; i++) {
+					queue.enqueue({
+						name: 'x' + i,
+						priority: 1,
+						tenant: 'x'
+					});
+				}
+
+				queue.dequeue();
+				queue.dequeue();
+
+				for (let i = 0; i < 3; i++) {
+					queue.enqueue({
+						name: 'y' + i,
+						priority: 1,
+						tenant: 'y'
+					});
+				}
+
+				expect(drain(queue)).to.deep.equal(['y0', 'x2', 'y1', 'y2']);
+			});
+
+			it('should respect priorities within a tenant', function() {
+				let queue = new scheduler.FairScheduler();
+
+				queue.enqueue({
+					name: 'a',
+					priority: 1
+				});
+				queue.enqueue({
+					name: 'b',
+					priority: 2
+				});
+
+				expect(drain(queue)).to.deep.equal(['b', 'a']);
+			});
+		});
+
+		describe('peek', function() {
+			it('should search the tenants in the order they should be served', function() {
+				let queue = new scheduler.FairScheduler();
+
+				[['x0', 'x', 5], ['x1', 'x', 1], ['y0', 'y', 1]].forEach(function(item) {
+					queue.enqueue({
+						name: item[0],
+						priority: 1,
+						tenant: item[1],
+						weight: item[2]
+					});
+				});
+
+				let entry = queue.peek(function(item) {
+					return item.weight < 5;
+				});
+
+				expect(entry.name).to.equal('x1');
+				expect(queue.dequeue(entry)).to.equal(entry);
+				expect(drain(queue)).to.deep.equal(['y0', 'x0']);
+			});
+		});
+	});
+});